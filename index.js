@@ -0,0 +1,24 @@
+'use strict';
+
+const privateKey = require('./lib/private-key'),
+  server = require('./lib/server'),
+  tokenCache = require('./lib/token-cache'),
+  webhook = require('./lib/webhook');
+
+module.exports = {
+  createWebhookHandler: webhook.createWebhookHandler,
+  optionsFromEnv: webhook.optionsFromEnv,
+  createServer: server.createServer,
+  middleware: server.middleware,
+  koaMiddleware: server.koaMiddleware,
+  providerFromEnv: privateKey.providerFromEnv,
+  fromValue: privateKey.fromValue,
+  fromFile: privateKey.fromFile,
+  fromS3: privateKey.fromS3,
+  fromSecretsManager: privateKey.fromSecretsManager,
+  fromParameterStore: privateKey.fromParameterStore,
+  storeFromEnv: tokenCache.storeFromEnv,
+  fileStore: tokenCache.fileStore,
+  dynamoDbStore: tokenCache.dynamoDbStore,
+  redisStore: tokenCache.redisStore
+};
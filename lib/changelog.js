@@ -0,0 +1,66 @@
+'use strict';
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/*
+ * Finds the heading for a version, such as "## 1.2.0", "## [1.2.0] - 2018-11-01" or "# v1.2.0 (2018-11-01)".
+ * Returns the 1-based heading line and whether the entry has any content before the next heading of the
+ * same or a higher level, or null when there is no heading for the version.
+ */
+function findEntry(text, version) {
+  const versionPattern = new RegExp(`(^|[\\s\\[])v?${escapeRegExp(version)}($|[\\s\\]),:(])`);
+  const lines = text.split(/\r?\n/);
+  const index = lines.findIndex(line => {
+    const heading = HEADING.exec(line);
+    return heading !== null && versionPattern.test(heading[2]);
+  });
+  if (index === -1) {
+    return null;
+  }
+
+  const level = HEADING.exec(lines[index])[1].length;
+  let empty = true;
+  for (let i = index + 1; i < lines.length; i++) {
+    const heading = HEADING.exec(lines[i]);
+    if (heading !== null && heading[1].length <= level) {
+      break;
+    }
+    if (heading === null && lines[i].trim().length > 0) {
+      empty = false;
+      break;
+    }
+  }
+
+  return {
+    lineNumber: index + 1,
+    empty
+  };
+}
+
+//the markdown under the heading for a version, for release notes, or null when there is no such entry or it is empty
+function entryText(text, version) {
+  const entry = findEntry(text, version);
+  if (entry === null || entry.empty) {
+    return null;
+  }
+  const lines = text.split(/\r?\n/);
+  const level = HEADING.exec(lines[entry.lineNumber - 1])[1].length;
+  const body = [];
+  for (let i = entry.lineNumber; i < lines.length; i++) {
+    const heading = HEADING.exec(lines[i]);
+    if (heading !== null && heading[1].length <= level) {
+      break;
+    }
+    body.push(lines[i]);
+  }
+  return body.join('\n').trim();
+}
+
+module.exports = {
+  findEntry,
+  entryText
+};
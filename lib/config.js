@@ -0,0 +1,124 @@
+'use strict';
+
+const yaml = require('js-yaml'),
+  schemes = require('./schemes'),
+  versions = require('./versions');
+
+const CONFIG_PATH = '.github/version-checkr.yml';
+const RELEASE_TYPES = versions.STABLE_RELEASE_TYPES.concat(versions.PRERELEASE_TYPES);
+//the base commit compared with: the branch tip, the merge base, or the first parent of GitHub's test merge commit
+const COMPARE_STRATEGIES = ['tip', 'merge-base', 'merge-commit'];
+
+const defaults = Object.freeze({
+  releaseType: 'patch',
+  branches: ['**'],
+  ignore: [],
+  strict: false,
+  registry: false,
+  changelog: false,
+  lockfile: true,
+  checkName: 'Version Checkr',
+  conventionalCommits: true,
+  autoFix: true,
+  compareWith: 'tip',
+  declarations: false,
+  publishedFiles: false,
+  comment: false,
+  release: false
+});
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(`Invalid ${CONFIG_PATH}: ${message}`);
+    this.name = 'ConfigError';
+  }
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+const validators = {
+  releaseType: value => RELEASE_TYPES.includes(value) || `releaseType must be one of ${RELEASE_TYPES.join(', ')}`,
+  preid: value => (typeof value === 'string' && /^[0-9A-Za-z-]+$/.test(value)) || 'preid must be a prerelease identifier such as beta',
+  strict: value => typeof value === 'boolean' || 'strict must be true or false',
+  registry: value => typeof value === 'boolean' || (typeof value === 'string' && /^https?:\/\/[^/\s]+/.test(value)) ||
+    'registry must be true, false or an http(s) registry URL',
+  changelog: value => typeof value === 'boolean' || (typeof value === 'string' && value.trim().length > 0) ||
+    'changelog must be true, false or a changelog file path',
+  lockfile: value => typeof value === 'boolean' || 'lockfile must be true or false',
+  manifest: value => (typeof value === 'string' && value.trim().length > 0) || 'manifest must be a file path',
+  versionScheme: value => Object.keys(schemes).includes(value) || `versionScheme must be one of ${Object.keys(schemes).join(', ')}`,
+  branches: value => isStringList(value) || 'branches must be a list of branch name patterns',
+  ignore: value => isStringList(value) || 'ignore must be a list of path patterns',
+  checkName: value => (typeof value === 'string' && value.trim().length > 0) || 'checkName must be a non-empty string',
+  conventionalCommits: value => typeof value === 'boolean' || 'conventionalCommits must be true or false',
+  autoFix: value => typeof value === 'boolean' || 'autoFix must be true or false',
+  compareWith: value => COMPARE_STRATEGIES.includes(value) || `compareWith must be one of ${COMPARE_STRATEGIES.join(', ')}`,
+  declarations: value => typeof value === 'boolean' || (typeof value === 'string' && value.trim().length > 0) ||
+    'declarations must be true, false or a declaration file path',
+  publishedFiles: value => typeof value === 'boolean' || isStringList(value) ||
+    'publishedFiles must be true, false or a list of path patterns',
+  comment: value => typeof value === 'boolean' || value === 'collapse' || 'comment must be true, false or collapse',
+  release: value => typeof value === 'boolean' || 'release must be true or false'
+};
+
+function parseConfig(text) {
+  let config;
+  try {
+    //JSON is a subset of YAML, so either format is accepted
+    config = yaml.safeLoad(text);
+  } catch (e) {
+    const location = e.mark ? ` at line ${e.mark.line + 1}, column ${e.mark.column + 1}` : '';
+    throw new ConfigError(`${e.reason || e.message}${location}`);
+  }
+  if (config === undefined || config === null) {
+    return defaults;
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError('expected a mapping of settings');
+  }
+
+  Object.keys(config).forEach(key => {
+    if (!validators[key]) {
+      throw new ConfigError(`unknown setting ${key}`);
+    }
+    const result = validators[key](config[key]);
+    if (result !== true) {
+      throw new ConfigError(result);
+    }
+  });
+  return Object.assign({}, defaults, config);
+}
+
+async function loadConfig(github, owner, repo, ref) {
+  if (!ref) {
+    return defaults;
+  }
+
+  let file;
+  try {
+    file = await github.repos.getContent({
+      owner,
+      repo,
+      ref,
+      path: CONFIG_PATH
+    });
+  } catch (e) {
+    if (e.code === 404) {
+      return defaults;
+    }
+    throw e;
+  }
+  return parseConfig(Buffer.from(file.data.content, 'base64').toString());
+}
+
+module.exports = {
+  CONFIG_PATH,
+  RELEASE_TYPES,
+  COMPARE_STRATEGIES,
+  ConfigError,
+  defaults,
+  parseConfig,
+  loadConfig
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const HEADER = /^(\w+)(?:\([^)]*\))?(!)?:\s*\S/;
+const BREAKING_FOOTER = /^BREAKING[ -]CHANGE:\s*\S/m;
+const RANKS = {
+  patch: 1,
+  minor: 2,
+  major: 3
+};
+
+function releaseTypeOf(message) {
+  const header = HEADER.exec(message);
+  if (header === null) {
+    return undefined;
+  }
+  if (header[2] || BREAKING_FOOTER.test(message)) {
+    return 'major';
+  }
+  if (header[1].toLowerCase() === 'feat') {
+    return 'minor';
+  }
+  return 'patch';
+}
+
+function rank(releaseType) {
+  return RANKS[releaseType] || 0;
+}
+
+//returns the highest release type implied by the commits and the first commit that implied it
+function inferReleaseType(commits) {
+  let inferred;
+  commits.forEach(commit => {
+    const releaseType = releaseTypeOf(commit.commit.message);
+    if (rank(releaseType) > rank(inferred && inferred.releaseType)) {
+      inferred = {
+        releaseType,
+        sha: commit.sha,
+        header: commit.commit.message.split('\n')[0]
+      };
+    }
+  });
+  return inferred;
+}
+
+module.exports = {
+  releaseTypeOf,
+  inferReleaseType,
+  rank
+};
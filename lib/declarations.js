@@ -0,0 +1,337 @@
+'use strict';
+
+/*
+ * Compares the exported API of two versions of a TypeScript declaration file. This is not a type checker:
+ * each top-level export is reduced to its normalized text, and interfaces, classes and enums to their members,
+ * so a removed or changed export or member is breaking and a new one is an addition, as are optional
+ * parameters added at the end. A member made optional is breaking, since code that reads it now has to
+ * handle undefined. Re-exported modules are not followed, and types that are not exported are not compared.
+ */
+
+const BLOCK_STATEMENT = /^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:const\s+)?(?:interface|class|enum|namespace|module|global)\b/;
+const STATEMENT_START = /^(?:export|declare|import|interface|type|class|enum|namespace|module|function|const|let|var|abstract)\b/;
+const DECLARATION = /^export\s+(?:declare\s+)?(?:abstract\s+)?(const\s+enum|function|const|let|var|type|interface|class|enum|namespace|module)\s+([\w$]+)/;
+const MEMBER_KINDS = ['interface', 'class', 'enum', 'const enum'];
+const MEMBER_MODIFIERS = /^(?:(?:public|protected|static|readonly|abstract|declare|get|set)\s+)+/;
+
+function lineOf(text, index) {
+  return text.substring(0, index).split('\n').length;
+}
+
+function skipString(text, start) {
+  let end = start + 1;
+  while (end < text.length && text[end] !== text[start]) {
+    end += text[end] === '\\' ? 2 : 1;
+  }
+  return end;
+}
+
+//blanks out comments but keeps every line break, so offsets still map to the same lines
+function stripComments(text) {
+  let stripped = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === '\'' || ch === '`') {
+      const end = skipString(text, i);
+      stripped += text.substring(i, end + 1);
+      i = end;
+    } else if (ch === '/' && (text[i + 1] === '/' || text[i + 1] === '*')) {
+      let end = text[i + 1] === '/' ? text.indexOf('\n', i) : text.indexOf('*/', i + 2) + 2;
+      end = end < i + 2 ? text.length : end;
+      stripped += text.substring(i, end).replace(/[^\n]/g, ' ');
+      i = end - 1;
+    } else {
+      stripped += ch;
+    }
+  }
+  return stripped;
+}
+
+/*
+ * Splits text into the statements or members at its top level, ending them at a separator, after the closing
+ * brace of a block statement, or at a line break when startsNew accepts the next line. Returns { text, offset } for each.
+ */
+function splitTopLevel(text, separators, startsNew) {
+  const parts = [];
+  let depth = 0,
+    start = 0;
+  const push = end => {
+    const raw = text.substring(start, end);
+    const trimmed = raw.trim();
+    if (trimmed.length > 0) {
+      parts.push({
+        text: trimmed,
+        offset: start + raw.indexOf(trimmed)
+      });
+    }
+    start = end;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === '\'' || ch === '`') {
+      i = skipString(text, i);
+    } else if ('{(['.includes(ch) || (ch === '<' && /[\w$\s]/.test(text[i - 1] || ''))) {
+      depth++;
+    } else if ('})]'.includes(ch) || (ch === '>' && text[i - 1] !== '=' && depth > 0)) {
+      depth--;
+      if (depth === 0 && ch === '}' && BLOCK_STATEMENT.test(text.substring(start, i).trim())) {
+        push(i + 1);
+      }
+    } else if (depth === 0 && separators.includes(ch)) {
+      push(i);
+      start = i + 1;
+    } else if (depth === 0 && ch === '\n' && !/[=|&,:.?]\s*$/.test(text.substring(start, i)) &&
+      startsNew(text.substr(i + 1, 100).trim())) {
+      push(i);
+    }
+  }
+  push(text.length);
+  return parts;
+}
+
+function normalize(text) {
+  return text
+    .replace(/\bdeclare\s+/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([{}()[\]<>,;:=|&?])\s*/g, '$1')
+    .replace(/[;,]([}\])])/g, '$1')
+    .replace(/[;,]$/, '')
+    .trim();
+}
+
+//the body of a block statement, which ends with its closing brace
+function splitBlock(text) {
+  let depth = 0;
+  for (let i = text.length - 1; i >= 0; i--) {
+    if (text[i] === '}') {
+      depth++;
+    } else if (text[i] === '{' && --depth === 0) {
+      return {
+        header: text.substring(0, i),
+        body: text.substring(i + 1, text.length - 1)
+      };
+    }
+  }
+  return null;
+}
+
+function memberKey(member, kind) {
+  if (kind === 'enum' || kind === 'const enum') {
+    return member.split('=')[0].trim();
+  }
+  const text = member.replace(MEMBER_MODIFIERS, '');
+  if (/^new\s*[(<]/.test(text)) {
+    return 'new';
+  }
+  if (/^[(<]/.test(text)) {
+    return '()';
+  }
+  if (text.startsWith('[')) {
+    //an index signature has a type annotation inside its brackets, a computed name does not
+    return /^\[[^\]]*:/.test(text) ? '[]' : text.substring(0, text.indexOf(']') + 1);
+  }
+  return /^[^(<:?;]*/.exec(text)[0].trim();
+}
+
+//{ key: [normalized member] } with the private members left out, since they are not part of the API
+function parseMembers(body, kind) {
+  const members = new Map();
+  //members may also be separated by line breaks alone, unless the next line continues a type
+  splitTopLevel(body, kind === 'enum' || kind === 'const enum' ? ',' : ';,', next => !/^[|&.?:=>{]/.test(next))
+    .filter(member => !/^(?:private\b|#)/.test(member.text.replace(/^(?:static|readonly)\s+/, '')))
+    .forEach(member => {
+      const key = memberKey(member.text, kind);
+      const text = normalize(member.text);
+      members.set(key, (members.get(key) || []).concat(text));
+    });
+  return members;
+}
+
+function exportedNames(statement) {
+  const text = statement.text;
+  let match = /^export\s*(?:type\s*)?\{([^}]*)\}\s*(?:from\s*(['"][^'"]*['"]))?/.exec(text);
+  if (match !== null) {
+    return match[1].split(',').map(item => item.trim()).filter(item => item.length > 0).map(item => {
+      const names = item.split(/\s+as\s+/);
+      return {
+        name: names[names.length - 1],
+        kind: 'export',
+        signature: `${names[0]}${match[2] ? ` from ${match[2]}` : ''}`
+      };
+    });
+  }
+  match = /^export\s*\*\s*(?:as\s+([\w$]+)\s*)?from\s*(['"][^'"]*['"])/.exec(text);
+  if (match !== null) {
+    return [{
+      name: match[1] || `* from ${match[2]}`,
+      kind: 'export',
+      signature: normalize(text)
+    }];
+  }
+  if (/^export\s*=/.test(text) || /^export\s+default\b/.test(text)) {
+    return [{
+      name: /^export\s*=/.test(text) ? 'export =' : 'default',
+      kind: 'default',
+      signature: normalize(text)
+    }];
+  }
+  match = DECLARATION.exec(text);
+  if (match === null) {
+    return [];
+  }
+  const kind = match[1].replace(/\s+/, ' ');
+  const block = MEMBER_KINDS.includes(kind) ? splitBlock(text) : null;
+  return [{
+    name: match[2],
+    kind,
+    signature: normalize(block ? block.header : text),
+    members: block ? parseMembers(block.body, kind) : undefined
+  }];
+}
+
+/*
+ * Maps the name of every export to { kind, signatures, members, lineNumber }. Overloaded functions have
+ * several signatures; members are only read for interfaces, classes and enums.
+ */
+function parseDeclarations(text) {
+  const exports = new Map();
+  splitTopLevel(stripComments(text), ';', next => STATEMENT_START.test(next)).forEach(statement => {
+    exportedNames(statement).forEach(item => {
+      const existing = exports.get(item.name);
+      if (existing && existing.kind === item.kind) {
+        existing.signatures.push(item.signature);
+        return;
+      }
+      exports.set(item.name, {
+        kind: item.kind,
+        signatures: [item.signature],
+        members: item.members,
+        lineNumber: lineOf(text, statement.offset)
+      });
+    });
+  });
+  return exports;
+}
+
+//head with only optional parameters added at the end of one of the parameter lists of base
+function addsOptionalParameters(base, head) {
+  let start = 0;
+  while (start < base.length && base[start] === head[start]) {
+    start++;
+  }
+  const rest = base.substring(start);
+  if (head.length <= base.length || !rest.startsWith(')') || !head.endsWith(rest)) {
+    return false;
+  }
+  const added = head.substring(start, head.length - rest.length);
+  if (!added.startsWith(',') && base[start - 1] !== '(') {
+    return false;
+  }
+  return splitTopLevel(added.replace(/^,/, ''), ',', () => false)
+    .every(parameter => /^(?:[\w$]+\?(?::|$)|\.\.\.)/.test(parameter.text));
+}
+
+/*
+ * How the items of base are kept in head: 'same', 'parameters' when some only gained optional parameters
+ * at the end, or null when one of them changed in any other way.
+ */
+function widening(items, of) {
+  let result = 'same';
+  for (const item of items) {
+    if (!of.includes(item)) {
+      if (!of.some(other => addsOptionalParameters(item, other))) {
+        return null;
+      }
+      result = 'parameters';
+    }
+  }
+  return result;
+}
+
+function change(name, breaking, description, lineNumber) {
+  return {
+    name,
+    breaking,
+    description,
+    lineNumber
+  };
+}
+
+function compareExport(name, base, head) {
+  if (base.kind !== head.kind) {
+    return [change(name, true, `Changed export ${name}`, head.lineNumber)];
+  }
+  //a new overload of a function still accepts every call the old ones did
+  const widened = widening(base.signatures, head.signatures);
+  if (widened === null) {
+    return [change(name, true, `Changed export ${name}`, head.lineNumber)];
+  }
+  const changes = widened === 'parameters' ? [change(name, false, `Added optional parameters to ${name}`, head.lineNumber)] : [];
+  if (!base.members) {
+    return head.signatures.length > base.signatures.length ? changes.concat(change(name, false, `Added an overload of ${name}`, head.lineNumber)) : changes;
+  }
+  base.members.forEach((members, key) => {
+    const headMembers = head.members.get(key);
+    const widenedMembers = headMembers ? widening(members, headMembers) : null;
+    if (!headMembers) {
+      changes.push(change(name, true, `Removed ${name}.${key}`, head.lineNumber));
+    } else if (widenedMembers === null) {
+      changes.push(change(name, true, `Changed ${name}.${key}`, head.lineNumber));
+    } else {
+      if (widenedMembers === 'parameters') {
+        changes.push(change(name, false, `Added optional parameters to ${name}.${key}`, head.lineNumber));
+      }
+      if (headMembers.length > members.length) {
+        changes.push(change(name, false, `Added an overload of ${name}.${key}`, head.lineNumber));
+      }
+    }
+  });
+  head.members.forEach((members, key) => {
+    if (base.members.has(key)) {
+      return;
+    }
+    //object literals typed with the interface would be missing a new required member
+    const required = head.kind === 'interface' && !members.every(member => member.replace(MEMBER_MODIFIERS, '').startsWith(`${key}?`));
+    changes.push(required ?
+      change(name, true, `Added required member ${name}.${key}`, head.lineNumber) :
+      change(name, false, `Added ${name}.${key}`, head.lineNumber));
+  });
+  return changes;
+}
+
+/*
+ * Compares the exports of two declaration files, either of which may be empty. level is 'breaking',
+ * 'addition' or 'none', and changes lists { name, breaking, description, lineNumber } with the line of the
+ * export in the head file, or undefined for a removed export.
+ */
+function compareDeclarations(baseText, headText) {
+  const base = parseDeclarations(baseText);
+  const head = parseDeclarations(headText);
+  let changes = [];
+  base.forEach((baseExport, name) => {
+    const headExport = head.get(name);
+    changes = changes.concat(headExport ? compareExport(name, baseExport, headExport) :
+      [change(name, true, `Removed export ${name}`, undefined)]);
+  });
+  head.forEach((headExport, name) => {
+    if (!base.has(name)) {
+      changes.push(change(name, false, `Added export ${name}`, headExport.lineNumber));
+    }
+  });
+
+  let level = 'none';
+  if (changes.some(item => item.breaking)) {
+    level = 'breaking';
+  } else if (changes.length > 0) {
+    level = 'addition';
+  }
+  return {
+    level,
+    changes
+  };
+}
+
+module.exports = {
+  parseDeclarations,
+  compareDeclarations
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULT_WINDOW = 300;
+
+function hashBody(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+/*
+ * Remembers the webhooks handled in the last options.window seconds (0 turns this off), so a redelivery
+ * or a second event for the same push is not checked twice. claim(event) takes
+ * { deliveryId, repository, headSha, baseRefs, body, force } and returns null for a duplicate, or else a
+ * release function to call if handling fails, so a retry is not mistaken for a duplicate.
+ *
+ * check_suite events carry no pull request body; the check fetches the current one, so they match
+ * any body, and a later event with a body matches them.
+ */
+function createDeduplicator(options = {}) {
+  const window = (options.window === undefined ? DEFAULT_WINDOW : options.window) * 1000;
+  const deliveries = new Map();
+  const checks = new Map();
+
+  const prune = map => map.forEach((entry, key) => {
+    if (entry.expiresAt <= Date.now()) {
+      map.delete(key);
+    }
+  });
+
+  return {
+    claim(event) {
+      if (window === 0) {
+        return () => {};
+      }
+      prune(deliveries);
+      prune(checks);
+      const expiresAt = Date.now() + window;
+      if (event.deliveryId && deliveries.has(event.deliveryId)) {
+        return null;
+      }
+      if (event.deliveryId) {
+        deliveries.set(event.deliveryId, {
+          expiresAt
+        });
+      }
+
+      const key = `${event.repository}@${event.headSha}:${(event.baseRefs || []).slice().sort().join(',')}`;
+      const hash = event.body === undefined ? undefined : hashBody(event.body);
+      const check = checks.get(key);
+      if (!event.force && check && (hash === undefined || check.anyBody || check.bodies.has(hash))) {
+        return null;
+      }
+      const entry = check || {
+        anyBody: false,
+        bodies: new Set()
+      };
+      if (hash === undefined) {
+        entry.anyBody = true;
+      } else {
+        entry.bodies.add(hash);
+      }
+      entry.expiresAt = expiresAt;
+      checks.set(key, entry);
+
+      return () => {
+        deliveries.delete(event.deliveryId);
+        checks.delete(key);
+      };
+    }
+  };
+}
+
+module.exports = {
+  createDeduplicator
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+const manifests = require('./manifests');
+
+const LOCKFILES = ['npm-shrinkwrap.json', 'package-lock.json'];
+
+/*
+ * Maps the key path of every object member in a JSON document to the line the key is on, so
+ * mismatches can be annotated exactly. Paths are JSON encoded arrays of keys, e.g. '["packages","","version"]'.
+ * Array elements are not tracked.
+ */
+function keyLines(text) {
+  const lines = new Map();
+  const stack = [];
+  let line = 1,
+    expectKey = false,
+    pendingKey;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\n') {
+      line++;
+    } else if (ch === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      const container = stack[stack.length - 1];
+      if (container && container.type === 'object' && expectKey) {
+        pendingKey = JSON.parse(text.substring(i, end + 1));
+        if (!container.untracked) {
+          lines.set(JSON.stringify(container.path.concat(pendingKey)), line);
+        }
+        expectKey = false;
+      }
+      i = end;
+    } else if (ch === '{' || ch === '[') {
+      const parent = stack[stack.length - 1];
+      const untracked = parent !== undefined && (parent.untracked || parent.type === 'array');
+      stack.push({
+        type: ch === '{' ? 'object' : 'array',
+        path: parent && !untracked ? parent.path.concat(pendingKey) : [],
+        untracked
+      });
+      expectKey = ch === '{';
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    } else if (ch === ',') {
+      const container = stack[stack.length - 1];
+      expectKey = container !== undefined && container.type === 'object';
+    }
+  }
+  return lines;
+}
+
+/*
+ * The lockfile fields that record a version of the head manifests. packages lists { dir, version } with '' for
+ * the root package; the root version is recorded at the top level and every package in its packages[dir]
+ * entry, which only exists for lockfileVersion 2 and later.
+ */
+function versionFields(lock, packages) {
+  const fields = [];
+  packages.forEach(pkg => {
+    if (pkg.dir === '') {
+      fields.push({
+        keys: ['version'],
+        name: 'version',
+        lockVersion: lock.version,
+        pkg
+      });
+    }
+    const entry = lock.lockfileVersion >= 2 && lock.packages && lock.packages[pkg.dir];
+    if (entry) {
+      fields.push({
+        keys: ['packages', pkg.dir, 'version'],
+        name: `packages[${JSON.stringify(pkg.dir)}].version`,
+        lockVersion: entry.version,
+        pkg
+      });
+    }
+  });
+  return fields.filter(field => field.lockVersion !== undefined);
+}
+
+/*
+ * The parsed lockfile, or null for an empty one: the contents API sends no content for files over 1 MB,
+ * which big lockfiles often are. Throws a ManifestError for a lockfile that is not a JSON object, such as
+ * one left with merge conflict markers.
+ */
+function parseLockfile(lockText) {
+  if (lockText.trim() === '') {
+    return null;
+  }
+  const lock = manifests.parseJson(lockText);
+  if (lock === null || typeof lock !== 'object' || Array.isArray(lock)) {
+    throw new manifests.ManifestError('is not a JSON object', 1);
+  }
+  return lock;
+}
+
+function findMismatches(lockText, lockPath, packages) {
+  let lock;
+  try {
+    lock = parseLockfile(lockText);
+  } catch (e) {
+    if (!(e instanceof manifests.ManifestError)) {
+      throw e;
+    }
+    return [{
+      path: lockPath,
+      success: false,
+      description: `${lockPath} ${e.message}`,
+      lineNumber: e.lineNumber
+    }];
+  }
+  if (lock === null) {
+    return [];
+  }
+  const lines = keyLines(lockText);
+  return versionFields(lock, packages)
+    .filter(field => field.lockVersion !== field.pkg.version)
+    .map(field => {
+      const manifestPath = field.pkg.dir ? `${field.pkg.dir}/package.json` : 'package.json';
+      return {
+        path: lockPath,
+        success: false,
+        description: `${lockPath} ${field.name} is ${field.lockVersion}, but ${manifestPath} version is ${field.pkg.version}`,
+        lineNumber: lines.get(JSON.stringify(field.keys))
+      };
+    });
+}
+
+//rewrites the mismatched versions in place, so the rest of the lockfile keeps its formatting; one that cannot be read is left as is
+function setVersions(lockText, packages) {
+  let lock;
+  try {
+    lock = parseLockfile(lockText);
+  } catch (e) {
+    if (!(e instanceof manifests.ManifestError)) {
+      throw e;
+    }
+    return lockText;
+  }
+  if (lock === null) {
+    return lockText;
+  }
+  const lines = keyLines(lockText);
+  const textLines = lockText.split('\n');
+  versionFields(lock, packages)
+    .filter(field => field.lockVersion !== field.pkg.version && lines.has(JSON.stringify(field.keys)))
+    .forEach(field => {
+      const index = lines.get(JSON.stringify(field.keys)) - 1;
+      textLines[index] = textLines[index].replace(JSON.stringify(field.lockVersion), JSON.stringify(field.pkg.version));
+    });
+  return textLines.join('\n');
+}
+
+module.exports = {
+  LOCKFILES,
+  keyLines,
+  findMismatches,
+  setVersions
+};
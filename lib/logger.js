@@ -0,0 +1,49 @@
+'use strict';
+
+/*
+ * Structured logs, one JSON object per line: { time, level, msg } followed by the fields of the logger and
+ * of the call. Lines below options.level ('debug', 'info', 'warn', 'error' or 'silent'; default 'info') are
+ * dropped, and the rest go to options.write, which defaults to stdout.
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+function writeStdout(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+//the field objects are read on every line, so fields can be added once known, such as the repository of a webhook
+function createLogger(options = {}, fields = []) {
+  const levelName = options.level || 'info';
+  if (!Object.keys(LEVELS).includes(levelName)) {
+    throw new Error(`Unknown log level ${levelName}, expected one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  const write = options.write || writeStdout;
+  const log = level => (msg, extra) => {
+    if (LEVELS[level] < LEVELS[levelName]) {
+      return;
+    }
+    write(JSON.stringify(Object.assign({
+      time: new Date().toISOString(),
+      level,
+      msg
+    }, ...fields, extra)));
+  };
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: childFields => createLogger(options, fields.concat(childFields))
+  };
+}
+
+module.exports = {
+  createLogger
+};
@@ -0,0 +1,351 @@
+'use strict';
+
+const posix = require('path').posix;
+
+/*
+ * Manifest parsers find the version of a project and the line it is on. Each parse returns
+ * { version, lineNumber } plus anything else the manifest knows about the package, { dynamic: true, lineNumber }
+ * when the build tool sets the version, or null when the manifest does not declare a version.
+ */
+
+class ManifestError extends Error {
+  constructor(message, lineNumber) {
+    super(message);
+    this.name = 'ManifestError';
+    this.lineNumber = lineNumber;
+  }
+}
+
+function lineOf(text, index) {
+  return text.substring(0, index).split('\n').length;
+}
+
+const JSON_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/*
+ * The offset of the first character that is not valid JSON, or the length of the text when it ends too
+ * early. The messages of JSON.parse differ between Node versions and often leave the offset out.
+ */
+function syntaxErrorOffset(text) {
+  let i = 0;
+  const skipSpace = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) {
+      i++;
+    }
+  };
+  const literal = word => {
+    if (!text.startsWith(word, i)) {
+      return false;
+    }
+    i += word.length;
+    return true;
+  };
+  const number = () => {
+    JSON_NUMBER.lastIndex = i;
+    const match = JSON_NUMBER.exec(text);
+    if (match === null) {
+      return false;
+    }
+    i += match[0].length;
+    return true;
+  };
+  const string = () => {
+    if (text[i] !== '"') {
+      return false;
+    }
+    for (i++; i < text.length && text[i] !== '"'; i++) {
+      if (text[i] === '\\') {
+        i++;
+        if (text[i] === 'u' && /^[0-9a-fA-F]{4}$/.test(text.substr(i + 1, 4))) {
+          i += 4;
+        } else if (i >= text.length || !'"\\/bfnrt'.includes(text[i])) {
+          return false;
+        }
+      } else if (text.charCodeAt(i) < 0x20) {
+        return false;
+      }
+    }
+    if (i >= text.length) {
+      return false;
+    }
+    i++;
+    return true;
+  };
+  let value;
+  const container = (close, item) => {
+    i++;
+    skipSpace();
+    if (text[i] === close) {
+      i++;
+      return true;
+    }
+    for (;;) {
+      if (!item()) {
+        return false;
+      }
+      skipSpace();
+      if (text[i] === close) {
+        i++;
+        return true;
+      }
+      if (text[i] !== ',') {
+        return false;
+      }
+      i++;
+    }
+  };
+  const member = () => {
+    skipSpace();
+    if (!string()) {
+      return false;
+    }
+    skipSpace();
+    if (text[i] !== ':') {
+      return false;
+    }
+    i++;
+    return value();
+  };
+  value = () => {
+    skipSpace();
+    if (text[i] === '{') {
+      return container('}', member);
+    }
+    if (text[i] === '[') {
+      return container(']', value);
+    }
+    return string() || number() || literal('true') || literal('false') || literal('null');
+  };
+  if (value()) {
+    skipSpace();
+  }
+  return i;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const index = syntaxErrorOffset(text);
+    const line = lineOf(text, index);
+    const column = index - text.lastIndexOf('\n', index - 1);
+    throw new ManifestError(`is not valid JSON at line ${line}, column ${column}`, line);
+  }
+}
+
+//a monorepo root may leave out the version, so it is only required without workspaces
+function parsePackageJson(text) {
+  const manifest = parseJson(text);
+  if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new ManifestError('is not a JSON object', 1);
+  }
+  const workspaces = (Array.isArray(manifest.workspaces) ?
+      manifest.workspaces : (manifest.workspaces && manifest.workspaces.packages) || [])
+    .map(pattern => pattern.replace(/^\.\//, '').replace(/\/$/, ''));
+  if (manifest.version === undefined && workspaces.length === 0) {
+    return null;
+  }
+  return {
+    version: manifest.version,
+    lineNumber: lineOf(text, text.indexOf('"version"')),
+    name: manifest.name,
+    publishable: !manifest.private,
+    workspaces
+  };
+}
+
+//PEP 621 dynamic = ["version"], which may span several lines, or Cargo's version.workspace = true
+function isDynamicVersion(lines, index) {
+  const line = lines[index].trim();
+  if (/^version\s*(?:\.\s*workspace\s*=\s*true\b|=\s*\{[^}]*\bworkspace\s*=\s*true\b)/.test(line)) {
+    return true;
+  }
+  if (!/^dynamic\s*=\s*\[/.test(line)) {
+    return false;
+  }
+  let array = line;
+  for (let i = index + 1; !array.includes(']') && i < lines.length; i++) {
+    array += lines[i];
+  }
+  return /["']version["']/.test(array.substring(0, array.indexOf(']') + 1 || array.length));
+}
+
+//reads version = "..." from the first of the given TOML tables that has one
+function tomlVersion(tables) {
+  return text => {
+    const lines = text.split(/\r?\n/);
+    let table = '',
+      dynamic = null;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      const header = /^\[\s*([^[\]]+?)\s*\]\s*(#.*)?$/.exec(line);
+      if (header !== null) {
+        table = header[1].replace(/\s*\.\s*/g, '.').replace(/["']/g, '');
+        continue;
+      }
+      if (line.startsWith('[[')) {
+        table = null;
+        continue;
+      }
+      const match = /^version\s*=\s*(?:"([^"]*)"|'([^']*)')/.exec(line);
+      if (match !== null && tables.includes(table)) {
+        return {
+          version: match[1] !== undefined ? match[1] : match[2],
+          lineNumber: i + 1
+        };
+      }
+      if (dynamic === null && tables.includes(table) && isDynamicVersion(lines, i)) {
+        dynamic = {
+          dynamic: true,
+          lineNumber: i + 1
+        };
+      }
+    }
+    //a literal version in another table, such as Poetry's next to a dynamic PEP 621 one, is still checked
+    return dynamic;
+  };
+}
+
+//version in the [metadata] section; attr: and file: references are not followed, so they are dynamic
+function parseSetupCfg(text) {
+  const lines = text.split(/\r?\n/);
+  let section = '';
+  for (let i = 0; i < lines.length; i++) {
+    const header = /^\[([^\]]+)\]/.exec(lines[i]);
+    if (header !== null) {
+      section = header[1].trim();
+      continue;
+    }
+    if (section === 'metadata' && /^version\s*[=:]\s*(attr|file):/.test(lines[i])) {
+      return {
+        dynamic: true,
+        lineNumber: i + 1
+      };
+    }
+    const match = /^version\s*[=:]\s*(\S+)\s*$/.exec(lines[i]);
+    if (section === 'metadata' && match !== null) {
+      return {
+        version: match[1],
+        lineNumber: i + 1
+      };
+    }
+  }
+  return null;
+}
+
+//the <version> that is a direct child of <project>, not the one in <parent> or any dependency
+function parsePom(text) {
+  const tag = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<(\/?)([\w:.-]+)[^>]*?(\/?)>/g;
+  const stack = [];
+  let match;
+  while ((match = tag.exec(text)) !== null) {
+    if (match[2] === undefined || match[3] === '/') {
+      continue;
+    }
+    if (match[1] === '/') {
+      stack.pop();
+      continue;
+    }
+    if (match[2] === 'version' && stack.length === 1 && stack[0] === 'project') {
+      const start = match.index + match[0].length;
+      const end = text.indexOf('</version>', start);
+      return {
+        version: text.substring(start, end).trim(),
+        lineNumber: lineOf(text, start)
+      };
+    }
+    stack.push(match[2]);
+  }
+  return null;
+}
+
+//a top-level version = '...' (or Groovy's version '...') outside of any block
+function parseGradle(text) {
+  const lines = text.split(/\r?\n/);
+  let depth = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const match = /^\s*version\s*=?\s*(?:"([^"]*)"|'([^']*)')/.exec(lines[i]);
+    if (depth === 0 && match !== null) {
+      return {
+        version: match[1] !== undefined ? match[1] : match[2],
+        lineNumber: i + 1
+      };
+    }
+    depth += (lines[i].match(/{/g) || []).length - (lines[i].match(/}/g) || []).length;
+  }
+  return null;
+}
+
+function parseVersionFile(text) {
+  const lines = text.split(/\r?\n/);
+  const index = lines.findIndex(line => line.trim().length > 0);
+  return index === -1 ? null : {
+    version: lines[index].trim(),
+    lineNumber: index + 1
+  };
+}
+
+//in auto-detect order; the first manifest found at the head commit is checked
+const parsers = [{
+  type: 'npm',
+  files: ['package.json'],
+  scheme: 'semver',
+  parse: parsePackageJson
+}, {
+  type: 'pyproject',
+  files: ['pyproject.toml'],
+  scheme: 'pep440',
+  parse: tomlVersion(['project', 'tool.poetry'])
+}, {
+  type: 'setup.cfg',
+  files: ['setup.cfg'],
+  scheme: 'pep440',
+  parse: parseSetupCfg
+}, {
+  type: 'cargo',
+  files: ['Cargo.toml'],
+  scheme: 'semver',
+  parse: tomlVersion(['package', 'workspace.package'])
+}, {
+  type: 'maven',
+  files: ['pom.xml'],
+  scheme: 'maven',
+  parse: parsePom
+}, {
+  type: 'gradle',
+  files: ['build.gradle', 'build.gradle.kts'],
+  scheme: 'maven',
+  parse: parseGradle
+}, {
+  type: 'version',
+  files: ['VERSION', 'VERSION.txt'],
+  scheme: 'semver',
+  parse: parseVersionFile
+}];
+
+const DEFAULT_PATHS = parsers.reduce((paths, parser) => paths.concat(parser.files), []);
+
+//picks the parser by file name, treating unknown files as plain version files
+function parserFor(path) {
+  const name = posix.basename(path);
+  return parsers.find(parser => parser.files.includes(name)) || parsers[parsers.length - 1];
+}
+
+//replaces the version where the parser found it, leaving the rest of the manifest untouched
+function setVersion(path, text, version) {
+  const manifest = parserFor(path).parse(text);
+  const lineStart = text.split('\n')
+    .slice(0, manifest.lineNumber - 1)
+    .reduce((offset, line) => offset + line.length + 1, 0);
+  const index = text.indexOf(manifest.version, lineStart);
+  return text.substring(0, index) + version + text.substring(index + manifest.version.length);
+}
+
+module.exports = {
+  ManifestError,
+  DEFAULT_PATHS,
+  parseJson,
+  parsers,
+  parserFor,
+  setVersion
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+const dgram = require('dgram');
+
+/*
+ * Counters for the checks run, their conclusions and the errors. The sink is 'emf' for CloudWatch Embedded
+ * Metric Format lines, which CloudWatch Logs turns into metrics of options.namespace, or statsd://host:port
+ * for a StatsD server, or empty for no metrics. Sending a metric never fails a webhook.
+ */
+
+const DEFAULT_NAMESPACE = 'VersionCheckr';
+const DEFAULT_STATSD_PORT = 8125;
+
+function emfSink(namespace, write) {
+  return (name, value) => write(JSON.stringify({
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: namespace,
+        Dimensions: [[]],
+        Metrics: [{
+          Name: name,
+          Unit: 'Count'
+        }]
+      }]
+    },
+    [name]: value
+  }));
+}
+
+//a socket per metric, since a webhook only sends a few and an open socket would keep the process alive
+function statsdSink(url, namespace) {
+  const match = /^statsd:\/\/([^:/]+)(?::(\d+))?\/?$/.exec(url);
+  if (match === null) {
+    throw new Error(`Invalid StatsD URL ${url}, expected statsd://host:port`);
+  }
+  const host = match[1];
+  const port = match[2] ? Number(match[2]) : DEFAULT_STATSD_PORT;
+  return (name, value) => {
+    const socket = dgram.createSocket('udp4');
+    let closed = false;
+    const close = () => {
+      if (!closed) {
+        closed = true;
+        socket.close();
+      }
+    };
+    socket.on('error', close);
+    socket.send(`${namespace}.${name}:${value}|c`, port, host, close);
+  };
+}
+
+function createMetrics(sink, options = {}) {
+  const namespace = options.namespace || DEFAULT_NAMESPACE;
+  let send = () => {};
+  if (sink === 'emf') {
+    send = emfSink(namespace, options.write || (line => process.stdout.write(`${line}\n`)));
+  } else if (sink && sink.startsWith('statsd:')) {
+    send = statsdSink(sink, namespace);
+  } else if (sink) {
+    throw new Error(`Unknown metrics sink ${sink}, expected emf or statsd://host:port`);
+  }
+  return {
+    increment(name, value = 1) {
+      send(name, value);
+    }
+  };
+}
+
+module.exports = {
+  createMetrics
+};
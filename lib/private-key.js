@@ -0,0 +1,146 @@
+'use strict';
+
+const AWS = require('aws-sdk'),
+  fs = require('fs'),
+  util = require('util'),
+  logger = require('./logger');
+
+const readFile = util.promisify(fs.readFile);
+
+const DEFAULT_TTL = 3600;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 100;
+//how long a refresh failure keeps using the previous key before trying again
+const STALE_RETRY = 60000;
+
+/*
+ * A secret provider is a function that resolves to the GitHub App private key as PEM text. It is
+ * called again whenever the cached key expires, so a rotated key is picked up without a redeploy.
+ */
+
+//a key passed on one line, as environment variables often are, has its newlines escaped
+function fromValue(pem) {
+  return () => Promise.resolve(pem.replace(/\\n/g, '\n'));
+}
+
+function fromFile(path) {
+  return () => readFile(path, 'utf8');
+}
+
+function fromS3(bucket, key) {
+  return async () => {
+    const file = await new AWS.S3().getObject({
+      Bucket: bucket,
+      Key: key
+    }).promise();
+    return file.Body.toString('utf8');
+  };
+}
+
+function fromSecretsManager(secretId) {
+  return async () => {
+    const secret = await new AWS.SecretsManager().getSecretValue({
+      SecretId: secretId
+    }).promise();
+    return secret.SecretString !== undefined ? secret.SecretString : Buffer.from(secret.SecretBinary).toString('utf8');
+  };
+}
+
+function fromParameterStore(name) {
+  return async () => {
+    const parameter = await new AWS.SSM().getParameter({
+      Name: name,
+      WithDecryption: true
+    }).promise();
+    return parameter.Parameter.Value;
+  };
+}
+
+//the first variable set picks the provider
+const ENV_PROVIDERS = [{
+  variable: 'PRIVATE_KEY',
+  create: env => fromValue(env.PRIVATE_KEY)
+}, {
+  variable: 'PRIVATE_KEY_PATH',
+  create: env => fromFile(env.PRIVATE_KEY_PATH)
+}, {
+  variable: 'PRIVATE_KEY_SECRET_ID',
+  create: env => fromSecretsManager(env.PRIVATE_KEY_SECRET_ID)
+}, {
+  variable: 'PRIVATE_KEY_PARAMETER',
+  create: env => fromParameterStore(env.PRIVATE_KEY_PARAMETER)
+}, {
+  variable: 'PEM_BUCKET_NAME',
+  create: env => fromS3(env.PEM_BUCKET_NAME, env.PEM_KEY || 'key.pem')
+}];
+
+//the provider configured by environment variables, or null if there is none
+function providerFromEnv(env) {
+  const provider = ENV_PROVIDERS.find(item => env[item.variable]);
+  return provider ? provider.create(env) : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function loadWithRetries(provider, retries, retryDelay) {
+  for (let attempt = 0;; attempt++) {
+    try {
+      return await provider();
+    } catch (e) {
+      if (attempt >= retries) {
+        throw e;
+      }
+      await sleep(retryDelay * Math.pow(2, attempt));
+    }
+  }
+}
+
+/*
+ * Caches the key from a provider for options.ttl seconds. A failed load is retried options.retries times,
+ * waiting options.retryDelay ms and doubling it each time. If a refresh still fails, which is logged to
+ * options.log, the previous key is used for another minute; without a previous key the error is thrown and
+ * the next call starts over.
+ */
+function cachedKey(provider, options = {}) {
+  const ttl = (options.ttl === undefined ? DEFAULT_TTL : options.ttl) * 1000;
+  const retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+  const retryDelay = options.retryDelay === undefined ? DEFAULT_RETRY_DELAY : options.retryDelay;
+  const log = options.log || logger.createLogger();
+  let key, expiresAt, pending;
+  return () => {
+    if (key !== undefined && Date.now() < expiresAt) {
+      return Promise.resolve(key);
+    }
+    if (!pending) {
+      pending = loadWithRetries(provider, retries, retryDelay).then(value => {
+        pending = undefined;
+        key = value;
+        expiresAt = Date.now() + ttl;
+        return key;
+      }, e => {
+        pending = undefined;
+        if (key === undefined) {
+          throw e;
+        }
+        log.warn('Could not refresh the private key, using the previous one', {
+          error: e.message
+        });
+        expiresAt = Date.now() + Math.min(ttl, STALE_RETRY);
+        return key;
+      });
+    }
+    return pending;
+  };
+}
+
+module.exports = {
+  fromValue,
+  fromFile,
+  fromS3,
+  fromSecretsManager,
+  fromParameterStore,
+  providerFromEnv,
+  cachedKey
+};
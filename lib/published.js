@@ -0,0 +1,131 @@
+'use strict';
+
+const minimatch = require('minimatch'),
+  posix = require('path').posix;
+
+/*
+ * Decides which files of a package end up in the published tarball, the way npm does: by the files field,
+ * otherwise by .npmignore, or .gitignore when there is no .npmignore. Paths are relative to the package.
+ * Only the .npmignore at the root of the package is read.
+ */
+
+//npm always packs these, whatever files or .npmignore say
+const ALWAYS_INCLUDED = /^(?:package\.json|(?:readme|license|licence|copying)(?:\.[^/]*)?)$/i;
+const ALWAYS_IGNORED = ['.git', '.hg', '.svn', 'CVS', 'node_modules', '.npmrc', '.DS_Store', 'npm-debug.log',
+  'package-lock.json', '.lock-wscript', 'config.gypi', '*.orig', '.*.swp', '._*'];
+
+//packed too, but a changed README alone is no reason for a release
+const DOCUMENTATION = /^readme(?:\.[^/]*)?$/i;
+//package.json fields that make no difference to those who install the package
+const UNPUBLISHED_FIELDS = ['version', 'devDependencies', 'scripts', 'private', 'workspaces', 'publishConfig'];
+//npm runs these when the package is installed
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+
+//the path itself and every directory above it, since a pattern that matches a directory covers its contents
+function pathAndParents(path) {
+  const segments = path.split('/');
+  return segments.map((segment, index) => segments.slice(0, index + 1).join('/'));
+}
+
+//gitignore semantics: a pattern without an inner slash matches at any depth, a trailing slash only matches directories
+function ignoreMatches(path, pattern) {
+  const dirOnly = pattern.endsWith('/');
+  const trimmed = pattern.replace(/\/+$/, '');
+  const anchored = trimmed.includes('/');
+  const candidates = pathAndParents(path);
+  return candidates
+    .filter((candidate, index) => !dirOnly || index < candidates.length - 1)
+    .some(candidate => minimatch(candidate, trimmed.replace(/^\//, ''), {
+      dot: true,
+      matchBase: !anchored
+    }));
+}
+
+//the last matching pattern wins, and a pattern starting with ! includes the path again
+function lastMatch(path, patterns, matches) {
+  let matched;
+  patterns.forEach(pattern => {
+    const negated = pattern.startsWith('!');
+    if (matches(path, negated ? pattern.substring(1) : pattern)) {
+      matched = !negated;
+    }
+  });
+  return matched;
+}
+
+function isDefaultIgnored(path) {
+  return ALWAYS_IGNORED.some(pattern => ignoreMatches(path, pattern));
+}
+
+function isAlwaysIncluded(path, main) {
+  return ALWAYS_INCLUDED.test(path) || (main !== undefined && path === posix.normalize(main));
+}
+
+function filesPattern(entry) {
+  return entry.replace(/^\.?\//, '').replace(/\/+$/, '');
+}
+
+//files entries are relative to the package root and include everything below a matching directory
+function filesEntryMatches(path, pattern) {
+  return pathAndParents(path).some(candidate => minimatch(candidate, pattern, {
+    dot: true
+  }));
+}
+
+function filesFilter(files, main) {
+  const patterns = files.map(filesPattern);
+  return path => !isDefaultIgnored(path) && (isAlwaysIncluded(path, main) || lastMatch(path, patterns, filesEntryMatches) === true);
+}
+
+/*
+ * The files entries that match none of the given paths, such as dist or lib when the package is built
+ * before it is published and only its sources are committed. Negated entries are left out.
+ */
+function unmatchedFiles(files, paths) {
+  return files
+    .filter(entry => !entry.startsWith('!'))
+    .filter(entry => !paths.some(path => filesEntryMatches(path, filesPattern(entry))));
+}
+
+function ignoreFilter(ignoreText, main) {
+  const patterns = ignoreText.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'));
+  return path => !isDefaultIgnored(path) && (isAlwaysIncluded(path, main) || lastMatch(path, patterns, ignoreMatches) !== true);
+}
+
+function globFilter(globs) {
+  return path => globs.some(glob => minimatch(path, glob, {
+    dot: true
+  }));
+}
+
+function publishedFields(manifest) {
+  const fields = Object.assign({}, manifest);
+  UNPUBLISHED_FIELDS.forEach(field => delete fields[field]);
+  const scripts = manifest.scripts || {};
+  fields.scripts = {};
+  INSTALL_SCRIPTS.filter(script => script in scripts).forEach(script => {
+    fields.scripts[script] = scripts[script];
+  });
+  return fields;
+}
+
+/*
+ * Narrows a filter of published files to the changes that call for a release: not the README, and
+ * package.json only when a field other than the version or the ones for development changed. The base
+ * manifest is null for a new package.
+ */
+function releaseFilter(filter, baseManifest, headManifest) {
+  const manifestChanged = baseManifest === null ||
+    JSON.stringify(publishedFields(baseManifest)) !== JSON.stringify(publishedFields(headManifest));
+  return path => !DOCUMENTATION.test(path) && filter(path) && (path !== 'package.json' || manifestChanged);
+}
+
+module.exports = {
+  filesFilter,
+  unmatchedFiles,
+  ignoreFilter,
+  globFilter,
+  releaseFilter
+};
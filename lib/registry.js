@@ -0,0 +1,112 @@
+'use strict';
+
+const http = require('http'),
+  https = require('https'),
+  url = require('url'),
+  semver = require('semver');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+const TIMEOUT = 10000;
+
+class RegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RegistryError';
+  }
+}
+
+function getJson(requestUrl, headers) {
+  return new Promise((resolve, reject) => {
+    const options = Object.assign(url.parse(requestUrl), {
+      headers
+    });
+    const client = options.protocol === 'http:' ? http : https;
+    const req = client.get(options, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 404) {
+          return resolve(null);
+        }
+        if (res.statusCode !== 200) {
+          return reject(new RegistryError(`registry responded with ${res.statusCode}`));
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          //the parse error quotes the response, which is not for the check output
+          reject(new RegistryError('registry sent invalid JSON'));
+        }
+      });
+    });
+    req.setTimeout(TIMEOUT, () => {
+      req.abort();
+      reject(new RegistryError(`registry did not respond within ${TIMEOUT / 1000} seconds`));
+    });
+    req.on('error', e => reject(new RegistryError(e.message)));
+  });
+}
+
+//the token is only sent to the registry it was issued for, never to a URL taken from repo config
+function authHeaders(registryUrl) {
+  const trusted = process.env.NPM_REGISTRY_URL;
+  const token = process.env.NPM_TOKEN;
+  if (!token || !trusted || url.parse(trusted).host !== url.parse(registryUrl).host) {
+    return {};
+  }
+  return {
+    Authorization: `Bearer ${token}`
+  };
+}
+
+function hostOf(registry) {
+  return registry.includes('://') ? url.parse(registry).host : registry;
+}
+
+/*
+ * The registry URL comes from repo config, so only hosts the operator trusts are fetched: the public registry,
+ * NPM_REGISTRY_URL, and the comma-separated URLs or hosts in NPM_REGISTRY_ALLOWLIST.
+ */
+function isAllowed(registryUrl) {
+  const allowed = [DEFAULT_REGISTRY, process.env.NPM_REGISTRY_URL]
+    .concat((process.env.NPM_REGISTRY_ALLOWLIST || '').split(','))
+    .map(registry => (registry || '').trim())
+    .filter(registry => registry.length > 0)
+    .map(hostOf);
+  return allowed.includes(url.parse(registryUrl).host);
+}
+
+//abbreviated package metadata with dist-tags and published versions, or null if never published
+async function fetchPackument(registryUrl, name) {
+  if (!isAllowed(registryUrl)) {
+    throw new RegistryError('registry is not allowed, add it to NPM_REGISTRY_ALLOWLIST of the app');
+  }
+  const base = registryUrl.endsWith('/') ? registryUrl : `${registryUrl}/`;
+  const headers = Object.assign({
+    Accept: 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8'
+  }, authHeaders(registryUrl));
+  return await getJson(`${base}${name.replace('/', '%2f')}`, headers);
+}
+
+//returns why the version cannot be published, or undefined if it can
+function checkPublished(packument, version, registryUrl) {
+  if (!packument) {
+    return undefined;
+  }
+  if (packument.versions && packument.versions[version]) {
+    return `Version ${version} is already published to ${registryUrl}`;
+  }
+  const latest = packument['dist-tags'] && packument['dist-tags'].latest;
+  if (latest && !semver.gt(version, latest)) {
+    return `Version ${version} is not greater than ${latest}, the latest version published to ${registryUrl}`;
+  }
+  return undefined;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY,
+  RegistryError,
+  fetchPackument,
+  checkPublished
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+const posix = require('path').posix,
+  config = require('./config'),
+  lockfile = require('./lockfile'),
+  manifests = require('./manifests');
+
+/*
+ * Renders the check run output: a title naming the bump, and a markdown report with a table of the
+ * checked versions, the results and how to fix a failure.
+ */
+
+//starts the pull request comment, so later runs find it again
+const COMMENT_MARKER = '<!-- version-checkr -->';
+
+function requirementText(requirement) {
+  const options = [requirement.preid, requirement.strict ? 'strict' : undefined].filter(option => option);
+  return [requirement.releaseType].concat(options).join(' ');
+}
+
+function requirementSource(requirement) {
+  switch (requirement.source) {
+    case 'flag':
+      return 'Pull request flag';
+    case 'comment':
+      return `Comment by @${requirement.user}`;
+    case 'commit':
+      return `Commit ${requirement.commit.sha.substring(0, 7)}`;
+    case 'declarations':
+      return `${requirement.declarations.level === 'breaking' ? 'Breaking changes in' : 'Additions to'} \`${requirement.declarations.path}\``;
+    default:
+      return requirement.releaseType === config.defaults.releaseType ? 'Default' : `\`${config.CONFIG_PATH}\``;
+  }
+}
+
+//e.g. "1.2.3 → 1.3.0 (minor)" for a single package
+function reportTitle(versionCheck) {
+  const packages = versionCheck.packages || [];
+  if (!versionCheck.requirement || packages.length === 0) {
+    return versionCheck.success ? 'Success' : 'Failure';
+  }
+  const releaseType = versionCheck.requirement.releaseType;
+  if (packages.length === 1 && packages[0].oldVersion !== undefined) {
+    return `${packages[0].oldVersion} → ${packages[0].newVersion} (${releaseType})`;
+  }
+  if (packages.length === 1) {
+    return versionCheck.success ? `${packages[0].newVersion} (new)` : 'Failure';
+  }
+  return `${packages.length} packages (${releaseType})`;
+}
+
+function versionTable(versionCheck) {
+  const rows = versionCheck.packages.map(result => {
+    //declarations can raise the requirement of a single package
+    const requirement = result.requirement || versionCheck.requirement;
+    const minimum = result.expectedVersion || result.minimumVersion;
+    return `| \`${result.path}\` | ${result.oldVersion || '-'} | ${result.newVersion || '-'} | ${requirementText(requirement)} | ` +
+      `${requirementSource(requirement)} | ${minimum ? `${requirement.strict ? 'exactly ' : ''}${minimum}` : '-'} | ` +
+      `${result.success ? 'Pass' : 'Fail'} |`;
+  });
+  return [
+    '| Manifest | Base | Head | Required | Required by | Minimum | Result |',
+    '| --- | --- | --- | --- | --- | --- | --- |'
+  ].concat(rows).join('\n');
+}
+
+function resultsText(results) {
+  return results
+    .map(result => `- ${result.success ? 'Pass' : 'Fail'} \`${result.path}\`: ${result.description}`)
+    .join('\n');
+}
+
+//the command that sets a manifest's version, or what to edit when the tooling has no such command
+function fixCommand(path, version) {
+  const type = manifests.parserFor(path).type;
+  const dir = posix.dirname(path);
+  if (type === 'npm') {
+    return `Run \`npm version ${version} --no-git-tag-version${dir === '.' ? '' : ` --workspace=${dir}`}\``;
+  }
+  if (type === 'maven') {
+    return `Run \`mvn versions:set -DnewVersion=${version}${dir === '.' ? '' : ` -f ${path}`}\``;
+  }
+  return `Set the version in \`${path}\` to ${version}`;
+}
+
+function fixSteps(versionCheck, packages, fix) {
+  const failed = packages.filter(result => !result.success);
+  const steps = failed
+    .filter(result => result.fixVersion)
+    .map(result => fixCommand(result.path, result.expectedVersion || result.fixVersion));
+  const lockfileFailed = versionCheck.results.some(result => !result.success && lockfile.LOCKFILES.includes(posix.basename(result.path)));
+  if (lockfileFailed && failed.length === 0) {
+    steps.push('Run `npm install --package-lock-only` to update the lockfile');
+  }
+  if (steps.length > 0 && fix) {
+    steps.push(`Or click **${fix.label}** above to commit the fix to this pull request`);
+  }
+  return steps;
+}
+
+//the report for one comparison; fix is the auto-fix offered for it, if any
+function versionReport(versionCheck, fix) {
+  //the changelog check has results but no packages
+  const packages = versionCheck.packages || [];
+  const sections = [];
+  if (versionCheck.requirement && packages.length > 0) {
+    sections.push(versionTable(versionCheck));
+  }
+  if (versionCheck.results.length > 0) {
+    sections.push(resultsText(versionCheck.results));
+  }
+  const steps = versionCheck.success ? [] : fixSteps(versionCheck, packages, fix);
+  if (steps.length > 0) {
+    sections.push(`#### How to fix\n\n${steps.map(step => `- ${step}`).join('\n')}`);
+  }
+  return sections.join('\n\n');
+}
+
+//{ title, text } for a completed check; text is undefined when there is nothing to report
+function renderReport(versionCheck, fix) {
+  if (versionCheck.neutral) {
+    return {
+      title: versionCheck.title
+    };
+  }
+  if (versionCheck.bases) {
+    return {
+      title: versionCheck.success ? 'Success' : 'Failure',
+      text: versionCheck.bases
+        .map(base => `### ${base.name}\n\n${versionReport(base.versionCheck) || 'Nothing to check'}`)
+        .join('\n\n') || undefined
+    };
+  }
+  return {
+    title: reportTitle(versionCheck),
+    text: versionReport(versionCheck, fix) || undefined
+  };
+}
+
+//the pull request comment: the summary and the report, or all of it folded under one line once collapsed
+function renderComment(checkName, versionCheck, summary, collapsed) {
+  const output = renderReport(versionCheck);
+  let status = '';
+  if (!versionCheck.neutral) {
+    status = versionCheck.success ? ' passed' : ' failed';
+  }
+  const details = [summary, output.text].filter(section => section).join('\n\n');
+  //markdown is not rendered inside <summary>
+  if (collapsed) {
+    return `${COMMENT_MARKER}\n<details>\n<summary>${checkName}${status}: ${output.title}</summary>\n\n${details}\n</details>`;
+  }
+  return `${COMMENT_MARKER}\n**${checkName}${status}**: ${output.title}\n\n${details}`;
+}
+
+module.exports = {
+  COMMENT_MARKER,
+  renderReport,
+  renderComment
+};
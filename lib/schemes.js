@@ -0,0 +1,267 @@
+'use strict';
+
+const semver = require('semver');
+
+/*
+ * A version scheme knows how to order versions and bump them. inc returns the lowest version for a
+ * release type, null when the version cannot be bumped that way (releasing a stable version) and
+ * undefined when the scheme does not support the release type at all. prerelease returns the
+ * identifiers of a prerelease, starting with its kind, and preid spells a prerelease identifier the
+ * way prerelease does, so the two can be compared.
+ */
+
+const semverScheme = {
+  name: 'semver',
+  valid: version => semver.valid(version) !== null,
+  compare: (a, b) => semver.compare(a, b),
+  prerelease: version => semver.prerelease(version),
+  preid: id => id,
+  inc: (version, releaseType, preid) => {
+    if (releaseType === 'release') {
+      return semver.prerelease(version) ? semver.inc(version, 'patch') : null;
+    }
+    return semver.inc(version, releaseType, preid);
+  }
+};
+
+function compareLists(a, b, missing) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const x = i < a.length ? a[i] : missing;
+    const y = i < b.length ? b[i] : missing;
+    if (x !== y) {
+      return x < y ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/*
+ * Bumps the first three numeric components of a release, keeping at least as many as the original.
+ * Like semver, a prerelease of 2.0 already counts as a major bump of the release it leads up to.
+ */
+function bumpRelease(release, releaseType, prerelease) {
+  const index = ['major', 'minor', 'patch'].indexOf(releaseType);
+  const bumped = release.slice();
+  while (bumped.length <= index) {
+    bumped.push(0);
+  }
+  if (prerelease && bumped.slice(index + 1).every(item => item === 0)) {
+    return bumped;
+  }
+  bumped[index]++;
+  for (let i = index + 1; i < bumped.length; i++) {
+    bumped[i] = 0;
+  }
+  return bumped;
+}
+
+const PEP440 = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\d*))?(?:(?:-(\d+))|(?:[-_.]?(post|rev|r)[-_.]?(\d*)))?(?:[-_.]?(dev)[-_.]?(\d*))?(?:\+([a-z0-9]+(?:[-_.][a-z0-9]+)*))?$/i;
+const PEP440_PHASES = {
+  a: 0,
+  alpha: 0,
+  b: 1,
+  beta: 1,
+  c: 2,
+  rc: 2,
+  pre: 2,
+  preview: 2
+};
+
+const PEP440_LABELS = ['a', 'b', 'rc'];
+const PRERELEASE_TYPES = ['premajor', 'preminor', 'prepatch', 'prerelease'];
+
+//the release type that a prerelease type leads up to; a prerelease of a stable version is a prepatch
+function stableReleaseType(releaseType) {
+  return releaseType === 'prerelease' ? 'patch' : releaseType.substring(3);
+}
+
+function parsePep440(version) {
+  const match = PEP440.exec(version.trim());
+  if (match === null) {
+    return null;
+  }
+  const number = text => text ? parseInt(text, 10) : 0;
+  return {
+    epoch: number(match[1]),
+    release: match[2].split('.').map(number),
+    pre: match[3] ? [PEP440_PHASES[match[3].toLowerCase()], number(match[4])] : null,
+    post: match[5] !== undefined || match[6] ? number(match[5] || match[7]) : null,
+    dev: match[8] ? number(match[9]) : null
+  };
+}
+
+//sort key per PEP 440: dev releases sort before pre-releases, which sort before the final release
+function pep440Key(parsed) {
+  let pre;
+  if (parsed.pre) {
+    pre = parsed.pre;
+  } else if (parsed.post === null && parsed.dev !== null) {
+    pre = [-Infinity];
+  } else {
+    pre = [Infinity];
+  }
+  return [
+    [parsed.epoch],
+    parsed.release,
+    pre,
+    [parsed.post === null ? -Infinity : parsed.post],
+    [parsed.dev === null ? Infinity : parsed.dev]
+  ];
+}
+
+const pep440Scheme = {
+  name: 'pep440',
+  valid: version => parsePep440(version) !== null,
+  compare: (a, b) => {
+    const keyA = pep440Key(parsePep440(a));
+    const keyB = pep440Key(parsePep440(b));
+    for (let i = 0; i < keyA.length; i++) {
+      //release segments compare as if padded with zeros, so 1.0 == 1.0.0
+      const result = compareLists(keyA[i], keyB[i], i === 1 ? 0 : -Infinity);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  },
+  prerelease: version => {
+    const parsed = parsePep440(version);
+    if (parsed.pre) {
+      return [PEP440_LABELS[parsed.pre[0]], parsed.pre[1]];
+    }
+    return parsed.dev !== null ? ['dev', parsed.dev] : null;
+  },
+  preid: id => {
+    const lower = id.toLowerCase();
+    return lower === 'dev' ? lower : PEP440_LABELS[PEP440_PHASES[lower]];
+  },
+  inc: (version, releaseType, preid) => {
+    const parsed = parsePep440(version);
+    const epoch = parsed.epoch ? `${parsed.epoch}!` : '';
+    const isPrerelease = pep440Scheme.prerelease(version) !== null;
+    if (releaseType === 'release') {
+      return isPrerelease ? `${epoch}${parsed.release.join('.')}` : null;
+    }
+    if (['major', 'minor', 'patch'].includes(releaseType)) {
+      return `${epoch}${bumpRelease(parsed.release, releaseType, isPrerelease).join('.')}`;
+    }
+    if (!PRERELEASE_TYPES.includes(releaseType)) {
+      return undefined;
+    }
+    //a dev release leads up to a pre-release or the final release, so 1.0a1.dev2 continues with 1.0a1.dev3
+    const current = isPrerelease ? pep440Scheme.prerelease(version) : null;
+    const label = preid ? pep440Scheme.preid(preid) : (current ? current[0] : 'dev');
+    if (label === undefined) {
+      return undefined;
+    }
+    const suffix = (id, number) => id === 'dev' ? `.dev${number}` : `${id}${number}`;
+    if (releaseType === 'prerelease' && current && parsed.post === null) {
+      let next;
+      if (label !== current[0]) {
+        next = `${epoch}${parsed.release.join('.')}${suffix(label, 0)}`;
+      } else if (parsed.dev !== null) {
+        next = `${epoch}${parsed.release.join('.')}${parsed.pre ? suffix(PEP440_LABELS[parsed.pre[0]], parsed.pre[1]) : ''}.dev${parsed.dev + 1}`;
+      } else {
+        next = `${epoch}${parsed.release.join('.')}${suffix(label, parsed.pre[1] + 1)}`;
+      }
+      if (pep440Scheme.compare(next, version) > 0) {
+        return next;
+      }
+    }
+    return `${epoch}${bumpRelease(parsed.release, stableReleaseType(releaseType), false).join('.')}${suffix(label, 0)}`;
+  }
+};
+
+//qualifier order from Maven's ComparableVersion, with unknown qualifiers after the release
+const MAVEN_QUALIFIERS = ['alpha', 'beta', 'milestone', 'rc', 'snapshot', '', 'sp'];
+const MAVEN_ALIASES = {
+  a: 'alpha',
+  b: 'beta',
+  m: 'milestone',
+  cr: 'rc',
+  ga: '',
+  final: '',
+  release: ''
+};
+
+function mavenItems(version) {
+  //separators and transitions between digits and letters both split items, so 1.0rc1 is [1, 0, 'rc', 1]
+  const items = (version.toLowerCase().match(/\d+|[a-z]+/g) || [])
+    .map(item => /^\d+$/.test(item) ? parseInt(item, 10) : (MAVEN_ALIASES[item] !== undefined ? MAVEN_ALIASES[item] : item));
+  //trailing zeros and release qualifiers are dropped, so 1-ga, 1.0 and 1 are the same version
+  while (items.length > 1 && (items[items.length - 1] === 0 || items[items.length - 1] === '')) {
+    items.pop();
+  }
+  return items;
+}
+
+function mavenQualifier(item) {
+  const lower = item.toLowerCase();
+  return MAVEN_ALIASES[lower] !== undefined ? MAVEN_ALIASES[lower] : lower;
+}
+
+function mavenRank(item) {
+  if (typeof item === 'number') {
+    return [2, item];
+  }
+  const index = MAVEN_QUALIFIERS.indexOf(item);
+  return index === -1 ? [1, MAVEN_QUALIFIERS.length, item] : [1, index];
+}
+
+const mavenScheme = {
+  name: 'maven',
+  valid: version => /^\d[0-9A-Za-z.-]*$/.test(version.trim()),
+  compare: (a, b) => {
+    const itemsA = mavenItems(a);
+    const itemsB = mavenItems(b);
+    for (let i = 0; i < Math.max(itemsA.length, itemsB.length); i++) {
+      const x = i < itemsA.length ? itemsA[i] : (typeof itemsB[i] === 'number' ? 0 : '');
+      const y = i < itemsB.length ? itemsB[i] : (typeof itemsA[i] === 'number' ? 0 : '');
+      const result = compareLists(mavenRank(x), mavenRank(y));
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  },
+  prerelease: version => {
+    const qualifiers = mavenItems(version).filter(item => typeof item === 'string' && MAVEN_QUALIFIERS.indexOf(item) !== -1 &&
+      MAVEN_QUALIFIERS.indexOf(item) < MAVEN_QUALIFIERS.indexOf(''));
+    return qualifiers.length > 0 ? qualifiers : null;
+  },
+  preid: id => mavenQualifier(id),
+  inc: (version, releaseType, preid) => {
+    const release = /^\d+(?:\.\d+)*/.exec(version.trim())[0];
+    const numbers = release.split('.').map(item => parseInt(item, 10));
+    const current = mavenScheme.prerelease(version);
+    if (releaseType === 'release') {
+      return current ? release : null;
+    }
+    if (['major', 'minor', 'patch'].includes(releaseType)) {
+      return bumpRelease(numbers, releaseType, current !== null).join('.');
+    }
+    if (!PRERELEASE_TYPES.includes(releaseType)) {
+      return undefined;
+    }
+    //the qualifier keeps its spelling, so 1.0-SNAPSHOT leads to 1.0.1-SNAPSHOT and 1.0-RC1 to 1.0-RC2
+    const qualifier = /^[-.]?([A-Za-z]+)[-.]?(\d*)$/.exec(version.trim().substring(release.length));
+    const label = preid || (current && qualifier ? qualifier[1] : 'alpha');
+    if (releaseType === 'prerelease' && current && qualifier && qualifier[2] &&
+      mavenQualifier(qualifier[1]) === mavenQualifier(label)) {
+      return `${version.trim().substring(0, version.trim().length - qualifier[2].length)}${parseInt(qualifier[2], 10) + 1}`;
+    }
+    const next = `${release}-${label}`;
+    if (releaseType === 'prerelease' && current && mavenScheme.compare(next, version) > 0) {
+      return next;
+    }
+    return `${bumpRelease(numbers, stableReleaseType(releaseType), false).join('.')}-${label}`;
+  }
+};
+
+const schemes = {
+  semver: semverScheme,
+  pep440: pep440Scheme,
+  maven: mavenScheme
+};
+
+module.exports = schemes;
@@ -0,0 +1,153 @@
+'use strict';
+
+const http = require('http'),
+  webhook = require('./webhook'),
+  logger = require('./logger');
+
+/*
+ * Adapters for running outside of AWS Lambda. Each takes the options of createWebhookHandler, so
+ * the webhook can be served by a plain http server or mounted as Express or Koa middleware. Request
+ * bodies over options.maxBodySize bytes are answered with 413 before they are read any further.
+ */
+
+//GitHub caps webhook payloads at 25 MB
+const MAX_BODY_SIZE = 25 * 1024 * 1024;
+
+class BodyTooLargeError extends Error {
+  constructor(limit) {
+    super(`The request body is larger than ${limit} bytes`);
+    this.name = 'BodyTooLargeError';
+  }
+}
+
+/*
+ * Signatures are computed over the raw body, so a parsed JSON body cannot be used. The body is read
+ * before its signature can be checked, so the size limit is what keeps anyone from filling the memory.
+ */
+function readBody(req, rawBody, limit = MAX_BODY_SIZE) {
+  const body = rawBody !== undefined ? rawBody : req.body;
+  if (Buffer.isBuffer(body) || typeof body === 'string') {
+    return Buffer.byteLength(body) > limit ? Promise.reject(new BodyTooLargeError(limit)) : Promise.resolve(body);
+  }
+  if (body !== undefined) {
+    return Promise.reject(new Error('The request body was already parsed, mount version-checkr before any JSON body parser'));
+  }
+  if (Number((req.headers || {})['content-length']) > limit) {
+    return Promise.reject(new BodyTooLargeError(limit));
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        //the rest is not read; the 413 response closes the connection
+        req.removeListener('data', onData);
+        req.pause();
+        return reject(new BodyTooLargeError(limit));
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function send(res, response) {
+  res.writeHead(response.statusCode, response.headers);
+  res.end(response.body);
+}
+
+const TOO_LARGE_RESPONSE = {
+  statusCode: 413,
+  headers: {
+    'Content-Type': 'text/plain',
+    'Connection': 'close'
+  },
+  body: 'Payload Too Large'
+};
+
+//Express and Connect middleware; errors are passed to next
+function middleware(options) {
+  const handleWebhook = webhook.createWebhookHandler(options);
+  return (req, res, next) => {
+    readBody(req, undefined, options.maxBodySize)
+      .then(body => handleWebhook({
+        headers: req.headers,
+        body
+      }))
+      .then(response => send(res, response), e => e instanceof BodyTooLargeError ? send(res, TOO_LARGE_RESPONSE) : next(e));
+  };
+}
+
+//Koa middleware; the raw body left by koa-bodyparser is used if present
+function koaMiddleware(options) {
+  const handleWebhook = webhook.createWebhookHandler(options);
+  return async ctx => {
+    let body;
+    try {
+      body = await readBody(ctx.req, ctx.request.rawBody, options.maxBodySize);
+    } catch (e) {
+      if (!(e instanceof BodyTooLargeError)) {
+        throw e;
+      }
+      body = null;
+    }
+    const response = body === null ? TOO_LARGE_RESPONSE : await handleWebhook({
+      headers: ctx.headers,
+      body
+    });
+    ctx.status = response.statusCode;
+    ctx.set(response.headers);
+    ctx.body = response.body;
+  };
+}
+
+//a standalone server that accepts webhooks on any path and answers GET /healthz; errors go to options.log
+function createServer(options) {
+  const handle = middleware(options);
+  const log = options.log || logger.createLogger({
+    level: options.logLevel,
+    write: options.logWriter
+  });
+  return http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/healthz') {
+      return send(res, {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/plain'
+        },
+        body: 'OK'
+      });
+    }
+    if (req.method !== 'POST') {
+      return send(res, {
+        statusCode: 405,
+        headers: {
+          'Content-Type': 'text/plain',
+          'Allow': 'POST'
+        },
+        body: 'Method Not Allowed'
+      });
+    }
+    handle(req, res, e => {
+      log.error('Request failed', {
+        error: e.message
+      });
+      send(res, {
+        statusCode: 500,
+        headers: {
+          'Content-Type': 'text/plain'
+        },
+        body: 'Internal Server Error'
+      });
+    });
+  });
+}
+
+module.exports = {
+  createServer,
+  middleware,
+  koaMiddleware
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+const AWS = require('aws-sdk'),
+  fs = require('fs'),
+  util = require('util'),
+  logger = require('./logger');
+
+const readFile = util.promisify(fs.readFile),
+  writeFile = util.promisify(fs.writeFile),
+  rename = util.promisify(fs.rename);
+
+//tokens are replaced this many seconds before they expire, so none expires during a webhook
+const DEFAULT_REFRESH_BEFORE = 300;
+
+/*
+ * A token store shares installation tokens between processes. get(key) resolves to the cached
+ * { token, expiresAt } or undefined, and set(key, entry) saves one; expiresAt is in epoch milliseconds.
+ */
+
+//a JSON file, for processes that share a volume and as a local stand-in for a shared backend
+function fileStore(path) {
+  const read = async () => {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return {};
+      }
+      throw e;
+    }
+  };
+  return {
+    get: async key => (await read())[key],
+    set: async (key, entry) => {
+      const entries = await read();
+      Object.keys(entries)
+        .filter(item => entries[item].expiresAt <= Date.now())
+        .forEach(item => delete entries[item]);
+      entries[key] = entry;
+      //written to a temporary file first, so readers never see half a file
+      const temporary = `${path}.${process.pid}.tmp`;
+      await writeFile(temporary, JSON.stringify(entries), {
+        mode: 0o600
+      });
+      await rename(temporary, path);
+    }
+  };
+}
+
+//a DynamoDB table with the partition key id; enable TTL on the ttl attribute to remove expired tokens
+function dynamoDbStore(tableName) {
+  const client = new AWS.DynamoDB.DocumentClient();
+  return {
+    get: async key => {
+      const result = await client.get({
+        TableName: tableName,
+        Key: {
+          id: key
+        }
+      }).promise();
+      return result.Item && {
+        token: result.Item.token,
+        expiresAt: result.Item.expiresAt
+      };
+    },
+    set: (key, entry) => client.put({
+      TableName: tableName,
+      Item: {
+        id: key,
+        token: entry.token,
+        expiresAt: entry.expiresAt,
+        ttl: Math.ceil(entry.expiresAt / 1000)
+      }
+    }).promise()
+  };
+}
+
+//any Redis client with promise-returning get(key) and set(key, value, 'PX', milliseconds), such as ioredis
+function redisStore(client, prefix = 'versioncheckr:token:') {
+  return {
+    get: async key => {
+      const value = await client.get(`${prefix}${key}`);
+      return value ? JSON.parse(value) : undefined;
+    },
+    set: (key, entry) => client.set(`${prefix}${key}`, JSON.stringify(entry), 'PX', Math.max(1, entry.expiresAt - Date.now()))
+  };
+}
+
+//the store configured by environment variables, or null to only cache in memory
+function storeFromEnv(env) {
+  if (env.TOKEN_CACHE_TABLE) {
+    return dynamoDbStore(env.TOKEN_CACHE_TABLE);
+  }
+  if (env.TOKEN_CACHE_FILE) {
+    return fileStore(env.TOKEN_CACHE_FILE);
+  }
+  return null;
+}
+
+/*
+ * Caches installation tokens in memory, in front of an optional shared store. getToken(key, createToken)
+ * resolves to a cached token, or calls createToken for a new { token, expiresAt } with expiresAt as sent
+ * by GitHub. Concurrent calls for the same key share one createToken call. A failing store is logged to
+ * options.log and skipped, so it never fails a webhook.
+ */
+function createTokenCache(options = {}) {
+  const store = options.store;
+  const log = options.log || logger.createLogger();
+  const refreshBefore = (options.refreshBefore === undefined ? DEFAULT_REFRESH_BEFORE : options.refreshBefore) * 1000;
+  const memory = new Map();
+  const pending = new Map();
+  const isFresh = entry => entry !== undefined && entry !== null && entry.expiresAt - refreshBefore > Date.now();
+
+  async function load(key, createToken) {
+    if (store) {
+      let shared;
+      try {
+        shared = await store.get(key);
+      } catch (e) {
+        log.warn('Could not read the token cache', {
+          error: e.message
+        });
+      }
+      if (isFresh(shared)) {
+        return shared;
+      }
+    }
+    const created = await createToken();
+    const entry = {
+      token: created.token,
+      expiresAt: Date.parse(created.expiresAt)
+    };
+    if (store) {
+      try {
+        await store.set(key, entry);
+      } catch (e) {
+        log.warn('Could not write the token cache', {
+          error: e.message
+        });
+      }
+    }
+    return entry;
+  }
+
+  return {
+    getToken(key, createToken) {
+      const cached = memory.get(key);
+      if (isFresh(cached)) {
+        return Promise.resolve(cached.token);
+      }
+      if (!pending.has(key)) {
+        pending.set(key, load(key, createToken).then(entry => {
+          pending.delete(key);
+          memory.set(key, entry);
+          return entry.token;
+        }, e => {
+          pending.delete(key);
+          throw e;
+        }));
+      }
+      return pending.get(key);
+    }
+  };
+}
+
+module.exports = {
+  fileStore,
+  dynamoDbStore,
+  redisStore,
+  storeFromEnv,
+  createTokenCache
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const schemes = require('./schemes');
+
+const STABLE_RELEASE_TYPES = ['major', 'minor', 'patch', 'release'];
+const PRERELEASE_TYPES = ['premajor', 'preminor', 'prepatch', 'prerelease'];
+
+//lowest version that satisfies the release type, or null if the base version cannot be bumped that way
+function minimumVersion(oldVersion, releaseType, preid, scheme = schemes.semver) {
+  return scheme.inc(oldVersion, releaseType, preid);
+}
+
+/*
+ * Stable release types (major, minor, patch and release) need a stable head version. Releasing a
+ * prerelease base counts as the bump it was a prerelease of, so 2.0.0-rc.1 -> 2.0.0 satisfies major,
+ * minor and patch alike. Prerelease types need a prerelease head version, using the preid if given.
+ * A strict requirement only accepts the minimum version itself.
+ */
+function evaluateBump(oldVersion, newVersion, requirement, scheme = schemes.semver) {
+  const releaseType = requirement.releaseType;
+  const preid = requirement.preid;
+  const minimum = minimumVersion(oldVersion, releaseType, preid, scheme);
+  const newPrerelease = scheme.prerelease(newVersion);
+  let failure, expected;
+  if (minimum === undefined) {
+    failure = `A ${releaseType} check is not supported for ${scheme.name} versions`;
+  } else if (minimum === null) {
+    failure = `Version ${newVersion} requires a prerelease base version to release, but ${oldVersion} is stable`;
+  } else if (requirement.strict) {
+    if (scheme.compare(newVersion, minimum) !== 0) {
+      expected = minimum;
+      failure = `Version ${newVersion} must be exactly ${minimum}, the next ${releaseType} version after ${oldVersion}`;
+    }
+  } else if (STABLE_RELEASE_TYPES.includes(releaseType) && newPrerelease) {
+    failure = `Version ${newVersion} is a prerelease, but a ${releaseType} check requires a stable version greater than ${oldVersion}`;
+  } else if (PRERELEASE_TYPES.includes(releaseType) && !newPrerelease) {
+    failure = `Version ${newVersion} is not a prerelease, but a ${releaseType} check requires one greater than ${oldVersion}`;
+  } else if (PRERELEASE_TYPES.includes(releaseType) && preid && scheme.preid(String(newPrerelease[0])) !== scheme.preid(preid)) {
+    failure = `Version ${newVersion} requires the prerelease identifier ${preid}`;
+  } else if (scheme.compare(newVersion, minimum) < 0) {
+    failure = `Version ${newVersion} requires a ${releaseType} version number greater than ${oldVersion}`;
+  }
+
+  return {
+    success: !failure,
+    description: failure || `Version ${newVersion} will replace ${oldVersion}`,
+    minimumVersion: minimum,
+    expectedVersion: expected
+  };
+}
+
+module.exports = {
+  STABLE_RELEASE_TYPES,
+  PRERELEASE_TYPES,
+  minimumVersion,
+  evaluateBump
+};
@@ -0,0 +1,1784 @@
+'use strict';
+
+const GitHubApi = require('@octokit/rest'),
+  posix = require('path').posix,
+  jwt = require('jsonwebtoken'),
+  minimatch = require('minimatch'),
+  crypto = require('crypto'),
+  changelog = require('./changelog'),
+  config = require('./config'),
+  conventionalCommits = require('./conventional-commits'),
+  declarations = require('./declarations'),
+  dedup = require('./dedup'),
+  lockfile = require('./lockfile'),
+  logger = require('./logger'),
+  manifests = require('./manifests'),
+  metrics = require('./metrics'),
+  privateKey = require('./private-key'),
+  published = require('./published'),
+  registry = require('./registry'),
+  report = require('./report'),
+  schemes = require('./schemes'),
+  tokenCache = require('./token-cache'),
+  versions = require('./versions');
+
+const FIX_ACTION = 'bump-version';
+const RELEASE_FLAG = new RegExp(`^#version[- ]?checke?r:\\s?(${config.RELEASE_TYPES.join('|')})((?:[ \\t]+[0-9A-Za-z-]+)*)`, 'im');
+const COMMAND = new RegExp(`^/version-checkr[ \\t]+(recheck|${config.RELEASE_TYPES.join('|')})((?:[ \\t]+[0-9A-Za-z-]+)*)[ \\t]*$`, 'im');
+//comment commands are only taken from people who can push to the repository
+const COMMAND_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+//the release a change to the exported declarations needs at least
+const DECLARATION_RELEASE_TYPES = {
+  breaking: 'major',
+  addition: 'minor'
+};
+
+//the counter for each check conclusion
+const CONCLUSION_METRICS = {
+  success: 'ChecksPassed',
+  failure: 'ChecksFailed',
+  neutral: 'ChecksNeutral'
+};
+
+//GitHub takes at most this many annotations per check run request
+const MAX_ANNOTATIONS = 50;
+
+//GitHub creates the test merge commit in the background after a push
+const MERGE_COMMIT_ATTEMPTS = 3;
+const MERGE_COMMIT_DELAY = 1000;
+
+const SIGNATURE_LENGTHS = {
+  sha256: 64,
+  sha1: 40
+};
+
+//true if the signature header matches the body signed with any of the secrets; never throws on malformed headers
+function validateSignature(secrets, algorithm, body, signature) {
+  const match = new RegExp(`^${algorithm}=([0-9a-f]{${SIGNATURE_LENGTHS[algorithm]}})$`, 'i').exec(signature.trim());
+  if (match === null) {
+    return false;
+  }
+  const expected = Buffer.from(match[1].toLowerCase(), 'utf8');
+  //every secret is tried, so the response time does not tell which one matched
+  return secrets.reduce((valid, secret) => {
+    const actual = Buffer.from(crypto.createHmac(algorithm, secret).update(body || '').digest('hex'), 'utf8');
+    return crypto.timingSafeEqual(actual, expected) || valid;
+  }, false);
+}
+
+//GitHub sends both headers; the SHA-1 one is only trusted when options.allowSha1Signature is set
+function checkSignature(options, request) {
+  const sha256 = getHeader(request.headers, 'X-Hub-Signature-256');
+  if (sha256) {
+    return validateSignature(options.webhookSecrets, 'sha256', request.body, sha256) ?
+      null : 'Invalid X-Hub-Signature-256';
+  }
+  const sha1 = getHeader(request.headers, 'X-Hub-Signature');
+  if (sha1 && options.allowSha1Signature) {
+    return validateSignature(options.webhookSecrets, 'sha1', request.body, sha1) ?
+      null : 'Invalid X-Hub-Signature';
+  }
+  return sha1 ? 'X-Hub-Signature is not accepted, X-Hub-Signature-256 is required' : 'Missing X-Hub-Signature-256';
+}
+
+//logs the method, route, status and duration of every request made with the client
+function logRequests(github, log) {
+  const startedAt = new WeakMap();
+  const logRequest = (options, status) => log.info('GitHub request', {
+    method: options.method,
+    url: options.url,
+    status,
+    durationMs: Date.now() - startedAt.get(options)
+  });
+  github.hook.before('request', options => {
+    startedAt.set(options, Date.now());
+  });
+  github.hook.after('request', (result, options) => logRequest(options, result.status));
+  github.hook.error('request', (error, options) => {
+    logRequest(options, error.code);
+    throw error;
+  });
+  return github;
+}
+
+async function createInstallationToken(appId, cert, installationId, log) {
+  const github = logRequests(new GitHubApi(), log);
+  const payload = {
+    iat: Math.floor(new Date() / 1000),
+    exp: Math.floor(new Date() / 1000) + 30,
+    iss: appId
+  };
+
+  github.authenticate({
+    type: 'app',
+    token: jwt.sign(payload, cert, {
+      algorithm: 'RS256'
+    })
+  });
+
+  const installationToken = await github.apps.createInstallationToken({
+    installation_id: installationId
+  });
+  return {
+    token: installationToken.data.token,
+    expiresAt: installationToken.data.expires_at
+  };
+}
+
+//installation tokens last an hour, so one is only created when the cache has none
+async function gitHubAuthenticate(options, installationId) {
+  const token = await options.tokenCache.getToken(`${options.appId}:${installationId}`,
+    async () => createInstallationToken(options.appId, await options.privateKey(), installationId, options.log));
+
+  const github = logRequests(new GitHubApi(), options.log);
+  github.authenticate({
+    type: 'token',
+    token
+  });
+  return github;
+}
+
+function decodeContent(file) {
+  return Buffer.from(file.data.content, 'base64').toString();
+}
+
+async function getFileContent(github, owner, repo, ref, path) {
+  return decodeContent(await github.repos.getContent({
+    owner,
+    repo,
+    ref,
+    path
+  }));
+}
+
+async function getAllPages(method, params) {
+  const perPage = 100;
+  let items = [];
+  for (let page = 1;; page++) {
+    const res = await method(Object.assign({}, params, {
+      per_page: perPage,
+      page
+    }));
+    items = items.concat(res.data);
+    if (res.data.length < perPage) {
+      return items;
+    }
+  }
+}
+
+function findChangedPackages(workspaces, files) {
+  const packageDirs = new Set();
+  files.forEach(file => {
+    const segments = file.filename.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      const dir = segments.slice(0, i).join('/');
+      if (workspaces.some(pattern => minimatch(dir, pattern))) {
+        packageDirs.add(dir);
+        break;
+      }
+    }
+  });
+  return Array.from(packageDirs).sort();
+}
+
+//every committed file at ref, or null when the tree is too large for GitHub to list in full
+async function getCommittedFiles(github, owner, repo, ref) {
+  const tree = (await github.gitdata.getTree({
+    owner,
+    repo,
+    tree_sha: ref,
+    recursive: 1
+  })).data;
+  return tree.truncated ? null : tree.tree.filter(item => item.type === 'blob').map(item => item.path);
+}
+
+async function getChangedFiles(github, owner, repo, pullRequestNumber, ignore) {
+  const files = await getAllPages(github.pullRequests.getFiles, {
+    owner,
+    repo,
+    number: pullRequestNumber
+  });
+  return files.filter(file => !ignore.some(pattern => minimatch(file.filename, pattern, {
+    dot: true
+  })));
+}
+
+/*
+ * Parses a manifest that may be missing (null), turning what is wrong with it into a message and the line to
+ * annotate. dynamic says why a manifest whose version is set by its build tool has no version to check.
+ */
+function readManifest(path, text, scheme) {
+  if (text === null) {
+    return {
+      missing: true
+    };
+  }
+  let manifest;
+  try {
+    manifest = manifests.parserFor(path).parse(text);
+  } catch (e) {
+    if (!(e instanceof manifests.ManifestError)) {
+      throw e;
+    }
+    return {
+      error: `${path} ${e.message}`,
+      lineNumber: e.lineNumber
+    };
+  }
+  if (manifest !== null && manifest.dynamic) {
+    return {
+      dynamic: `${path} sets its version dynamically`
+    };
+  }
+  if (manifest === null || manifest.version === undefined) {
+    return {
+      error: `${path} has no version`,
+      lineNumber: 1
+    };
+  }
+  if (typeof manifest.version !== 'string' || !scheme.valid(manifest.version)) {
+    return {
+      error: `Version ${manifest.version} in ${path} is not a valid ${scheme.name} version`,
+      lineNumber: manifest.lineNumber
+    };
+  }
+  return {
+    manifest
+  };
+}
+
+/*
+ * Compares the base and head versions of a manifest, either of which may be missing (null). A problem with
+ * the head manifest fails; a package without a usable base version has nothing to compare with, so it passes,
+ * marked skipped when the base manifest is there but cannot be read. A dynamic version is skipped too.
+ */
+function compareVersions(path, oldManifestText, newManifestText, requirement, repoConfig) {
+  const parser = manifests.parserFor(path);
+  const scheme = schemes[repoConfig.versionScheme || parser.scheme];
+  const head = readManifest(path, newManifestText, scheme);
+  if (head.missing) {
+    return {
+      path,
+      success: true,
+      skipped: true,
+      description: `${path} was removed, so there is no version to check`
+    };
+  }
+  if (head.dynamic) {
+    return {
+      path,
+      success: true,
+      skipped: true,
+      description: `${head.dynamic}, so there is no version to check`
+    };
+  }
+  if (head.error) {
+    return {
+      path,
+      success: false,
+      description: head.error,
+      lineNumber: head.lineNumber
+    };
+  }
+  const newManifest = head.manifest;
+  const packageInfo = {
+    path,
+    name: newManifest.name,
+    publishable: newManifest.publishable,
+    newVersion: newManifest.version,
+    lineNumber: newManifest.lineNumber
+  };
+  const base = readManifest(path, oldManifestText, scheme);
+  if (base.missing) {
+    return Object.assign({
+      success: true,
+      description: `${path} is new, so version ${newManifest.version} has nothing to compare with`
+    }, packageInfo);
+  }
+  if (base.error || base.dynamic) {
+    return Object.assign({
+      success: true,
+      skipped: true,
+      description: `At the base commit, ${base.error || base.dynamic}, so version ${newManifest.version} was not compared`
+    }, packageInfo);
+  }
+
+  const oldManifest = base.manifest;
+  const result = versions.evaluateBump(oldManifest.version, newManifest.version, requirement, scheme);
+  //a lower version fails whatever the requirement, and says so rather than asking for a bigger bump
+  const downgrade = scheme.compare(newManifest.version, oldManifest.version) < 0;
+  return {
+    path,
+    success: result.success && !downgrade,
+    description: downgrade ? `Version ${newManifest.version} is lower than ${oldManifest.version} at the base commit` : result.description,
+    expectedVersion: result.expectedVersion,
+    minimumVersion: result.minimumVersion,
+    fixVersion: result.success && !downgrade ? undefined : result.minimumVersion || undefined,
+    name: newManifest.name,
+    publishable: newManifest.publishable,
+    oldVersion: oldManifest.version,
+    newVersion: newManifest.version,
+    lineNumber: newManifest.lineNumber
+  };
+}
+
+function hasDynamicVersion(path, text) {
+  try {
+    const manifest = manifests.parserFor(path).parse(text);
+    return manifest !== null && manifest.dynamic === true;
+  } catch (e) {
+    if (!(e instanceof manifests.ManifestError)) {
+      throw e;
+    }
+    return false;
+  }
+}
+
+/*
+ * The configured manifest, or the first known manifest found at the ref. Auto-detection moves past a manifest
+ * with a dynamic version, such as a pyproject.toml next to the setup.cfg that has the version, and only
+ * settles for it when no other manifest is found.
+ */
+async function findManifest(getFile, ref, repoConfig) {
+  const candidates = repoConfig.manifest ? [repoConfig.manifest] : manifests.DEFAULT_PATHS;
+  let dynamic = null;
+  for (const path of candidates) {
+    let text;
+    try {
+      text = await getFile(ref, path);
+    } catch (e) {
+      if (e.code !== 404) {
+        throw e;
+      }
+      continue;
+    }
+    if (repoConfig.manifest || !hasDynamicVersion(path, text)) {
+      return {
+        path,
+        text
+      };
+    }
+    dynamic = dynamic || {
+      path,
+      text
+    };
+  }
+  return dynamic;
+}
+
+async function checkRegistry(result, repoConfig) {
+  if (!result.success || !repoConfig.registry || !result.publishable || !result.name) {
+    return result;
+  }
+
+  const registryUrl = repoConfig.registry === true ? registry.DEFAULT_REGISTRY : repoConfig.registry;
+  let failure;
+  try {
+    const packument = await registry.fetchPackument(registryUrl, result.name);
+    failure = registry.checkPublished(packument, result.newVersion, registryUrl);
+  } catch (e) {
+    if (!(e instanceof registry.RegistryError)) {
+      throw e;
+    }
+    failure = `Could not read ${result.name} from ${registryUrl}: ${e.message}`;
+  }
+  return failure ? Object.assign({}, result, {
+    success: false,
+    description: failure
+  }) : result;
+}
+
+//a release type with the strict keyword or a preid after it, as in a flag or a comment command
+function modeRequirement(releaseType, optionsText, repoConfig, source) {
+  const options = optionsText.trim().split(/\s+/).filter(option => option.length > 0);
+  const strict = options.some(option => option.toLowerCase() === 'strict');
+  const preid = options.find(option => option.toLowerCase() !== 'strict');
+  return {
+    releaseType: releaseType.toLowerCase(),
+    preid: preid || repoConfig.preid,
+    strict: strict || repoConfig.strict,
+    source
+  };
+}
+
+function findCommand(text) {
+  const match = COMMAND.exec(text || '');
+  return match === null ? null : {
+    command: match[1].toLowerCase(),
+    options: match[2]
+  };
+}
+
+//the latest /version-checkr <mode> comment from someone who can push, or null
+async function findModeComment(github, owner, repo, pullRequestNumber) {
+  const comments = await getAllPages(github.issues.getComments, {
+    owner,
+    repo,
+    number: pullRequestNumber
+  });
+  for (let i = comments.length - 1; i >= 0; i--) {
+    const command = findCommand(comments[i].body);
+    if (command !== null && command.command !== 'recheck' && COMMAND_ASSOCIATIONS.includes(comments[i].author_association)) {
+      return Object.assign(command, {
+        user: comments[i].user.login
+      });
+    }
+  }
+  return null;
+}
+
+async function getReleaseRequirement(github, owner, repo, pullRequestNumber, body, repoConfig) {
+  //a mode set in a comment overrides the description
+  const comment = await findModeComment(github, owner, repo, pullRequestNumber);
+  if (comment !== null) {
+    return Object.assign(modeRequirement(comment.command, comment.options, repoConfig, 'comment'), {
+      user: comment.user
+    });
+  }
+
+  //check for comparison type from PR body
+  if (body === undefined) {
+    //need to fetch from PR since body doesn't come with check webhooks
+    const pullRequest = await github.pullRequests.get({
+      owner,
+      repo,
+      number: pullRequestNumber
+    });
+    body = pullRequest.data.body;
+  }
+  if (body) {
+    const match = RELEASE_FLAG.exec(body);
+    if (match !== null) {
+      return modeRequirement(match[1], match[2], repoConfig, 'flag');
+    }
+  }
+
+  const requirement = {
+    releaseType: repoConfig.releaseType,
+    preid: repoConfig.preid,
+    strict: repoConfig.strict,
+    source: 'config'
+  };
+  //commits can only raise a major, minor or patch requirement, prerelease flows are left alone
+  if (!repoConfig.conventionalCommits || !conventionalCommits.rank(requirement.releaseType)) {
+    return requirement;
+  }
+  const commits = await getAllPages(github.pullRequests.getCommits, {
+    owner,
+    repo,
+    number: pullRequestNumber
+  });
+  const inferred = conventionalCommits.inferReleaseType(commits);
+  if (inferred && conventionalCommits.rank(inferred.releaseType) > conventionalCommits.rank(requirement.releaseType)) {
+    return Object.assign({}, requirement, {
+      releaseType: inferred.releaseType,
+      source: 'commit',
+      commit: inferred
+    });
+  }
+  return requirement;
+}
+
+//a package.json that may be missing or broken, read for settings other than the version
+function tryParseJson(text) {
+  try {
+    return text === null ? null : JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+//the types or typings entry of a package.json, or the configured path, relative to the package
+function declarationsPath(manifestPath, manifestText, option) {
+  const manifest = tryParseJson(manifestText);
+  const entry = typeof option === 'string' ? option : manifest && (manifest.types || manifest.typings);
+  return entry ? posix.join(posix.dirname(manifestPath), entry) : null;
+}
+
+async function getOptionalFile(getFile, ref, path) {
+  try {
+    return await getFile(ref, path);
+  } catch (e) {
+    if (e.code === 404) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+//compares the exported declarations of an npm package, or returns null when the head commit has none to compare
+async function analyzeDeclarations(getFile, comparison, manifestPath, baseManifestText, headManifestText, repoConfig) {
+  if (!repoConfig.declarations || manifests.parserFor(manifestPath).type !== 'npm') {
+    return null;
+  }
+  const headPath = declarationsPath(manifestPath, headManifestText, repoConfig.declarations);
+  const headText = headPath && await getOptionalFile(getFile, comparison.headSha, headPath);
+  if (!headText) {
+    return null;
+  }
+  //a package that had no declarations before only adds exports
+  const basePath = declarationsPath(manifestPath, baseManifestText, repoConfig.declarations);
+  const baseText = basePath && await getOptionalFile(getFile, comparison.baseSha, basePath);
+  return Object.assign({
+    path: headPath
+  }, declarations.compareDeclarations(baseText || '', headText));
+}
+
+//like commits, declarations only raise a major, minor or patch requirement, and a mode set in a comment wins
+function declarationsRequirement(requirement, analysis) {
+  const releaseType = analysis && DECLARATION_RELEASE_TYPES[analysis.level];
+  if (!releaseType || requirement.source === 'comment' || !conventionalCommits.rank(requirement.releaseType) ||
+    conventionalCommits.rank(releaseType) <= conventionalCommits.rank(requirement.releaseType)) {
+    return requirement;
+  }
+  return Object.assign({}, requirement, {
+    releaseType,
+    source: 'declarations',
+    declarations: {
+      path: analysis.path,
+      level: analysis.level,
+      changes: analysis.changes.filter(change => change.breaking === (analysis.level === 'breaking'))
+    }
+  });
+}
+
+//every breaking change is annotated, passing along with the package when the bump allows it
+function declarationResults(analysis, packageResult) {
+  return analysis ? analysis.changes.filter(change => change.breaking).map(change => ({
+    path: analysis.path,
+    success: packageResult.success,
+    annotate: true,
+    description: change.description,
+    lineNumber: change.lineNumber || 1
+  })) : [];
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+//the test merge commit of the head into the base, as soon as GitHub has created it for this head
+async function findTestMergeCommit(github, owner, repo, pullRequestNumber, headSha) {
+  for (let attempt = 1; attempt <= MERGE_COMMIT_ATTEMPTS; attempt++) {
+    const pullRequest = (await github.pullRequests.get({
+      owner,
+      repo,
+      number: pullRequestNumber
+    })).data;
+    if (pullRequest.mergeable === false) {
+      return {
+        conflict: true
+      };
+    }
+    if (pullRequest.mergeable && pullRequest.merge_commit_sha) {
+      const commit = (await github.gitdata.getCommit({
+        owner,
+        repo,
+        commit_sha: pullRequest.merge_commit_sha
+      })).data;
+      if (commit.parents.length === 2 && commit.parents[1].sha === headSha) {
+        return {
+          sha: pullRequest.merge_commit_sha,
+          baseSha: commit.parents[0].sha
+        };
+      }
+    }
+    if (attempt < MERGE_COMMIT_ATTEMPTS) {
+      await delay(MERGE_COMMIT_DELAY);
+    }
+  }
+  return null;
+}
+
+/*
+ * The commits to compare for repoConfig.compareWith: the base branch tip, the merge base of the head
+ * and the base, or the test merge commit and its base parent. Returns { strategy, baseRef, baseSha, headSha },
+ * or a neutral result when there is no test merge commit to compare.
+ */
+async function findComparison(github, owner, repo, baseRef, headSha, pullRequestNumber, strategy) {
+  if (strategy === 'merge-base') {
+    const compare = await github.repos.compareCommits({
+      owner,
+      repo,
+      base: baseRef,
+      head: headSha
+    });
+    return {
+      strategy,
+      baseRef,
+      baseSha: compare.data.merge_base_commit.sha,
+      headSha
+    };
+  }
+  if (strategy === 'merge-commit') {
+    const merge = await findTestMergeCommit(github, owner, repo, pullRequestNumber, headSha);
+    if (merge === null) {
+      return {
+        neutral: true,
+        title: 'Merge commit not ready',
+        description: `GitHub has not created the test merge commit for ${headSha.substring(0, 7)} yet, run the check again later`
+      };
+    }
+    if (merge.conflict) {
+      return {
+        neutral: true,
+        title: 'Merge conflict',
+        description: `The pull request has conflicts with ${baseRef}, so there is no test merge commit to check`
+      };
+    }
+    return {
+      strategy,
+      baseRef,
+      baseSha: merge.baseSha,
+      headSha: merge.sha
+    };
+  }
+  const branch = await github.repos.getBranch({
+    owner,
+    repo,
+    branch: baseRef
+  });
+  return {
+    strategy,
+    baseRef,
+    baseSha: branch.data.commit.sha,
+    headSha
+  };
+}
+
+//the parsed manifest, or null when it is missing or cannot be read; compareVersions reports why
+function tryParseManifest(path, text) {
+  if (text === null) {
+    return null;
+  }
+  try {
+    return manifests.parserFor(path).parse(text);
+  } catch (e) {
+    if (!(e instanceof manifests.ManifestError)) {
+      throw e;
+    }
+    return null;
+  }
+}
+
+function manifestVersion(path, text) {
+  const manifest = tryParseManifest(path, text);
+  return manifest ? manifest.version : undefined;
+}
+
+/*
+ * A filter for the changed files that call for a release of the published package of candidate. When a
+ * files entry matches nothing that is committed, the package is built before it is published, so which
+ * sources end up in it is unknown and every change counts.
+ */
+async function publishedFilter(getFile, listFiles, ref, candidate, repoConfig) {
+  const manifestPath = candidate.path;
+  const manifestText = candidate.headText;
+  const dir = posix.dirname(manifestPath);
+  const prefix = dir === '.' ? '' : `${dir}/`;
+  let filter;
+  if (Array.isArray(repoConfig.publishedFiles)) {
+    filter = published.globFilter(repoConfig.publishedFiles);
+  } else if (manifests.parserFor(manifestPath).type !== 'npm' || !tryParseJson(manifestText)) {
+    //a broken package.json cannot say what it publishes, so it is checked and reported
+    filter = () => true;
+  } else {
+    const manifest = JSON.parse(manifestText);
+    if (Array.isArray(manifest.files)) {
+      const committed = await listFiles();
+      const paths = committed === null ? [] : committed.filter(path => path.startsWith(prefix)).map(path => path.substring(prefix.length));
+      filter = published.unmatchedFiles(manifest.files, paths).length > 0 ? () => true : published.filesFilter(manifest.files, manifest.main);
+    } else {
+      //like npm, fall back to .gitignore when the package has no .npmignore
+      const npmignore = await getOptionalFile(getFile, ref, `${prefix}.npmignore`);
+      const ignoreText = npmignore !== null ? npmignore : await getOptionalFile(getFile, ref, `${prefix}.gitignore`);
+      filter = published.ignoreFilter(ignoreText || '', manifest.main);
+    }
+  }
+  if (manifests.parserFor(manifestPath).type === 'npm' && tryParseJson(manifestText)) {
+    filter = published.releaseFilter(filter, tryParseJson(candidate.baseText), JSON.parse(manifestText));
+  }
+  return filename => filename.startsWith(prefix) && filter(filename.substring(prefix.length));
+}
+
+//the neutral result for a pull request that changes nothing the checked packages publish
+function noReleaseNeeded(unpublished, files) {
+  const bumped = unpublished.filter(candidate => candidate.oldVersion !== candidate.newVersion);
+  let description;
+  if (bumped.length === 0) {
+    description = 'No published files changed, so no version bump is needed';
+  } else if (unpublished.length === 1) {
+    description = `Version ${bumped[0].newVersion} will replace ${bumped[0].oldVersion}, but no published files changed`;
+  } else {
+    description = `Versions bumped for ${bumped.map(candidate => posix.dirname(candidate.path)).join(', ')}, but no published files changed`;
+  }
+  const listed = files.slice(0, 10).map(file => `\`${file.filename}\``);
+  const more = files.length > listed.length ? ` and ${files.length - listed.length} more` : '';
+  return {
+    neutral: true,
+    title: 'No release needed',
+    description: listed.length > 0 ? `${description}\n\nChanged files: ${listed.join(', ')}${more}` : description
+  };
+}
+
+async function compareVersionsFromGitHub(github, owner, repo, baseRef, headSha, pullRequestNumber, body, repoConfig) {
+  if (!baseRef) {
+    return {
+      neutral: true,
+      title: 'No PR to check',
+      description: 'Commit is not part of a pull request, so version was not checked'
+    };
+  }
+  if (!repoConfig.branches.some(pattern => minimatch(baseRef, pattern))) {
+    return {
+      neutral: true,
+      title: 'Branch not checked',
+      description: `Base branch ${baseRef} is not configured for version checks`
+    };
+  }
+
+  let files;
+  if (repoConfig.ignore.length > 0) {
+    files = await getChangedFiles(github, owner, repo, pullRequestNumber, repoConfig.ignore);
+    if (files.length === 0) {
+      return {
+        neutral: true,
+        title: 'No version check needed',
+        description: 'Only ignored paths changed, so version was not checked'
+      };
+    }
+  }
+
+  const comparison = await findComparison(github, owner, repo, baseRef, headSha, pullRequestNumber, repoConfig.compareWith);
+  if (comparison.neutral) {
+    return comparison;
+  }
+
+  const getFile = (ref, path) => getFileContent(github, owner, repo, ref, path);
+  const headManifest = await findManifest(getFile, comparison.headSha, repoConfig);
+  if (headManifest === null) {
+    return {
+      neutral: true,
+      title: 'No manifest',
+      description: `No version manifest found, looked for ${repoConfig.manifest || manifests.DEFAULT_PATHS.join(', ')}`
+    };
+  }
+  const baseManifestText = await getOptionalFile(getFile, comparison.baseSha, headManifest.path);
+
+  const headInfo = tryParseManifest(headManifest.path, headManifest.text);
+  const workspaces = (headInfo && headInfo.workspaces) || [];
+  let candidates = [];
+  if (workspaces.length === 0) {
+    candidates.push({
+      path: headManifest.path,
+      baseText: baseManifestText,
+      headText: headManifest.text
+    });
+  } else {
+    //monorepo: only check the workspace packages touched by this pull request
+    files = files || await getChangedFiles(github, owner, repo, pullRequestNumber, repoConfig.ignore);
+    for (const dir of findChangedPackages(workspaces, files)) {
+      const path = `${dir}/package.json`;
+      candidates.push({
+        path,
+        baseText: await getOptionalFile(getFile, comparison.baseSha, path),
+        headText: await getOptionalFile(getFile, comparison.headSha, path)
+      });
+    }
+  }
+
+  let unpublished = [];
+  if (repoConfig.publishedFiles) {
+    files = files || await getChangedFiles(github, owner, repo, pullRequestNumber, repoConfig.ignore);
+    const changed = [];
+    let committed;
+    const listFiles = async () => {
+      committed = committed !== undefined ? committed : await getCommittedFiles(github, owner, repo, comparison.headSha);
+      return committed;
+    };
+    for (const candidate of candidates) {
+      const isPublished = await publishedFilter(getFile, listFiles, comparison.headSha, candidate, repoConfig);
+      (files.some(file => isPublished(file.filename)) ? changed : unpublished).push(candidate);
+    }
+    unpublished = unpublished.map(candidate => Object.assign(candidate, {
+      oldVersion: manifestVersion(candidate.path, candidate.baseText),
+      newVersion: manifestVersion(candidate.path, candidate.headText)
+    }));
+    if (changed.length === 0 && unpublished.length > 0) {
+      return noReleaseNeeded(unpublished, files);
+    }
+    candidates = changed;
+  }
+
+  const requirement = await getReleaseRequirement(github, owner, repo, pullRequestNumber, body, repoConfig);
+
+  const packages = [];
+  let breakingResults = [];
+  for (const candidate of candidates) {
+    const analysis = await analyzeDeclarations(getFile, comparison, candidate.path, candidate.baseText, candidate.headText, repoConfig);
+    const packageRequirement = declarationsRequirement(requirement, analysis);
+    const result = await checkRegistry(compareVersions(candidate.path, candidate.baseText, candidate.headText, packageRequirement, repoConfig), repoConfig);
+    packages.push(packageRequirement === requirement ? result : Object.assign({}, result, {
+      requirement: packageRequirement
+    }));
+    breakingResults = breakingResults.concat(declarationResults(analysis, result));
+  }
+  //workspace packages without published changes are not checked, but a bump of one is pointed out
+  const unpublishedResults = unpublished
+    .filter(candidate => candidate.oldVersion !== candidate.newVersion)
+    .map(candidate => ({
+      path: candidate.path,
+      success: true,
+      description: `Version ${candidate.newVersion} will replace ${candidate.oldVersion}, but no published files changed in ${posix.dirname(candidate.path)}`
+    }));
+  //nothing was compared when the only manifest at the base commit cannot be read
+  if (workspaces.length === 0 && packages[0].skipped) {
+    return {
+      neutral: true,
+      title: 'Version not compared',
+      description: packages[0].description
+    };
+  }
+  const lockfileResults = headManifest.path === 'package.json' && headInfo && repoConfig.lockfile ?
+    await checkLockfile(github, owner, repo, comparison.headSha, headInfo, packages) : [];
+
+  const failures = packages.filter(result => !result.success).length;
+  const changed = `${packages.length} changed ${packages.length === 1 ? 'package' : 'packages'}`;
+  let description;
+  if (workspaces.length === 0) {
+    description = packages[0].description;
+  } else if (packages.length === 0) {
+    description = 'No workspace packages changed';
+  } else if (failures === 0) {
+    description = `Versions bumped for ${changed}`;
+  } else {
+    description = `${failures} of ${changed} ${failures === 1 ? 'needs' : 'need'} a version bump`;
+  }
+  if (failures === 0 && lockfileResults.length > 0) {
+    description = lockfileResults.length === 1 ?
+      lockfileResults[0].description : `${lockfileResults.length} lockfile versions do not match package.json`;
+  }
+
+  return {
+    success: failures === 0 && lockfileResults.length === 0,
+    description,
+    //a single package's declarations may have raised the requirement for the whole check
+    requirement: (workspaces.length === 0 && packages[0].requirement) || requirement,
+    comparison,
+    manifest: {
+      path: headManifest.path,
+      version: headInfo && headInfo.version
+    },
+    packages,
+    results: packages.concat(breakingResults, unpublishedResults, lockfileResults)
+  };
+}
+
+//npm prefers npm-shrinkwrap.json over package-lock.json when both exist
+async function findLockfile(github, owner, repo, ref) {
+  for (const path of lockfile.LOCKFILES) {
+    try {
+      return {
+        path,
+        text: await getFileContent(github, owner, repo, ref, path)
+      };
+    } catch (e) {
+      if (e.code !== 404) {
+        throw e;
+      }
+    }
+  }
+  return null;
+}
+
+//the root package and every checked workspace package, with the versions the lockfile should record
+function lockfilePackages(rootVersion, packageResults) {
+  const packages = packageResults.map(result => ({
+    dir: posix.dirname(result.path) === '.' ? '' : posix.dirname(result.path),
+    version: result.newVersion
+  }));
+  if (!packages.some(pkg => pkg.dir === '')) {
+    packages.unshift({
+      dir: '',
+      version: rootVersion
+    });
+  }
+  return packages.filter(pkg => pkg.version !== undefined);
+}
+
+async function checkLockfile(github, owner, repo, headSha, headInfo, packageResults) {
+  const lock = await findLockfile(github, owner, repo, headSha);
+  return lock ? lockfile.findMismatches(lock.text, lock.path, lockfilePackages(headInfo.version, packageResults)) : [];
+}
+
+async function checkChangelogs(github, owner, repo, headSha, repoConfig, packageResults) {
+  const changelogPath = repoConfig.changelog === true ? 'CHANGELOG.md' : repoConfig.changelog;
+  const results = [];
+  for (const packageResult of packageResults) {
+    const path = posix.join(posix.dirname(packageResult.path), changelogPath);
+    const version = packageResult.newVersion;
+    let text;
+    try {
+      text = await getFileContent(github, owner, repo, headSha, path);
+    } catch (e) {
+      if (e.code !== 404) {
+        throw e;
+      }
+      results.push({
+        path,
+        success: false,
+        description: `${path} not found, so version ${version} has no changelog entry`
+      });
+      continue;
+    }
+
+    const entry = changelog.findEntry(text, version);
+    let result;
+    if (entry === null) {
+      result = {
+        success: false,
+        description: `${path} has no entry for version ${version}`,
+        lineNumber: 1
+      };
+    } else if (entry.empty) {
+      result = {
+        success: false,
+        description: `The ${path} entry for version ${version} is empty`,
+        lineNumber: entry.lineNumber
+      };
+    } else {
+      result = {
+        success: true,
+        description: `${path} has an entry for version ${version}`
+      };
+    }
+    results.push(Object.assign({
+      path
+    }, result));
+  }
+
+  const failures = results.filter(result => !result.success).length;
+  let description;
+  if (results.length === 1) {
+    description = results[0].description;
+  } else if (failures === 0) {
+    description = `Changelog entries found for ${results.length} packages`;
+  } else {
+    description = `${failures} of ${results.length} packages are missing a changelog entry`;
+  }
+
+  return {
+    success: failures === 0,
+    description,
+    results
+  };
+}
+
+//the version bumps that would make a failed check pass, or null if bumping cannot fix it
+function findFix(versionCheck) {
+  if (versionCheck.neutral || versionCheck.success) {
+    return null;
+  }
+  const failed = versionCheck.packages.filter(result => !result.success);
+  if (failed.some(result => !result.fixVersion)) {
+    return null;
+  }
+  const bumps = failed.map(result => ({
+    path: result.path,
+    version: result.fixVersion
+  }));
+
+  //action labels are limited to 20 characters
+  let label;
+  if (bumps.length === 0) {
+    label = 'Sync lockfile';
+  } else if (bumps.length === 1) {
+    label = `Bump to ${bumps[0].version}`.length <= 20 ? `Bump to ${bumps[0].version}` : 'Bump version';
+  } else {
+    label = 'Bump versions';
+  }
+  return {
+    bumps,
+    label
+  };
+}
+
+function fixMessage(fix, lockPath) {
+  if (fix.bumps.length === 0) {
+    return `Sync ${lockPath} with package.json`;
+  }
+  if (fix.bumps.length === 1) {
+    return `Bump ${fix.bumps[0].path} version to ${fix.bumps[0].version}`;
+  }
+  return `Bump versions of ${fix.bumps.length} packages\n\n${fix.bumps.map(bump => `- ${bump.path}: ${bump.version}`).join('\n')}`;
+}
+
+//commits the bumped manifests and a matching lockfile on top of the pull request head
+async function commitFix(github, owner, repo, pullRequest, versionCheck, fix) {
+  const headSha = pullRequest.head.sha;
+  const files = [];
+  for (const bump of fix.bumps) {
+    const text = await getFileContent(github, owner, repo, headSha, bump.path);
+    files.push({
+      path: bump.path,
+      content: manifests.setVersion(bump.path, text, bump.version)
+    });
+  }
+  const lock = versionCheck.manifest.path === 'package.json' ? await findLockfile(github, owner, repo, headSha) : null;
+  if (lock) {
+    const fixed = versionCheck.packages.map(result => {
+      const bump = fix.bumps.find(item => item.path === result.path);
+      return bump ? Object.assign({}, result, {
+        newVersion: bump.version
+      }) : result;
+    });
+    const content = lockfile.setVersions(lock.text, lockfilePackages(versionCheck.manifest.version, fixed));
+    if (content !== lock.text) {
+      files.push({
+        path: lock.path,
+        content
+      });
+    }
+  }
+  if (files.length === 0) {
+    return null;
+  }
+
+  const headCommit = await github.gitdata.getCommit({
+    owner,
+    repo,
+    commit_sha: headSha
+  });
+  const tree = await github.gitdata.createTree({
+    owner,
+    repo,
+    base_tree: headCommit.data.tree.sha,
+    tree: files.map(file => ({
+      path: file.path,
+      mode: '100644',
+      type: 'blob',
+      content: file.content
+    }))
+  });
+  const commit = await github.gitdata.createCommit({
+    owner,
+    repo,
+    message: fixMessage(fix, lock && lock.path),
+    tree: tree.data.sha,
+    parents: [headSha]
+  });
+  //not forced, so a push that raced this fix makes the update fail instead of being overwritten
+  await github.gitdata.updateReference({
+    owner,
+    repo,
+    ref: `heads/${pullRequest.head.ref}`,
+    sha: commit.data.sha,
+    force: false
+  });
+  return commit.data.sha;
+}
+
+async function applyFix(github, owner, repo, checkRun, pullRequests) {
+  const refuse = description => ({
+    success: false,
+    description
+  });
+  if (pullRequests.length === 0) {
+    return refuse('The commit is not part of a pull request');
+  }
+  //a bump that fixes one base branch could still fail against another, so that is left to the author
+  if (pullRequests.length > 1) {
+    return refuse(`The commit is part of ${pullRequests.length} pull requests, so the version has to be bumped by hand`);
+  }
+  const pullRequestNumber = pullRequests[0].number;
+  const pullRequest = (await github.pullRequests.get({
+    owner,
+    repo,
+    number: pullRequestNumber
+  })).data;
+  const head = pullRequest.head;
+  if (!head.repo || head.repo.full_name !== pullRequest.base.repo.full_name) {
+    return refuse(`${head.label} is a fork, which version-checkr cannot push to`);
+  }
+  if (head.sha !== checkRun.head_sha) {
+    return refuse(`${head.ref} has new commits since this check ran`);
+  }
+  const branch = await github.repos.getBranch({
+    owner,
+    repo,
+    branch: head.ref
+  });
+  if (branch.data.protected) {
+    return refuse(`${head.ref} is a protected branch, which version-checkr does not push to`);
+  }
+
+  let repoConfig, versionCheck;
+  try {
+    repoConfig = await config.loadConfig(github, owner, repo, pullRequest.base.ref);
+    versionCheck = await compareVersionsFromGitHub(github, owner, repo, pullRequest.base.ref, head.sha, pullRequestNumber, pullRequest.body, repoConfig);
+  } catch (e) {
+    if (!(e instanceof config.ConfigError)) {
+      throw e;
+    }
+    return refuse(e.message);
+  }
+  if (!repoConfig.autoFix) {
+    return refuse(`autoFix is turned off in ${config.CONFIG_PATH}`);
+  }
+  const fix = findFix(versionCheck);
+  if (fix === null) {
+    return refuse('The check cannot be fixed by bumping the version');
+  }
+
+  let sha;
+  try {
+    sha = await commitFix(github, owner, repo, pullRequest, versionCheck, fix);
+  } catch (e) {
+    if (e.code === 422) {
+      return refuse(`${head.ref} has new commits since this check ran`);
+    }
+    if (e.code === 403) {
+      return refuse('version-checkr needs the Repository contents Read & write permission to push');
+    }
+    throw e;
+  }
+  if (sha === null) {
+    return refuse('The files already have the fixed versions');
+  }
+  return {
+    success: true,
+    description: `Pushed ${sha.substring(0, 7)} to ${head.ref}`
+  };
+}
+
+function requirementNote(requirement) {
+  if (requirement.source === 'commit') {
+    return `A ${requirement.releaseType} version bump is required by commit ${requirement.commit.sha.substring(0, 7)}: ${requirement.commit.header}`;
+  }
+  if (requirement.source === 'comment') {
+    return `The ${requirement.releaseType} mode was set by @${requirement.user} in a comment`;
+  }
+  if (requirement.source === 'declarations') {
+    const changes = requirement.declarations.changes;
+    const listed = changes.slice(0, 3).map(change => change.description.charAt(0).toLowerCase() + change.description.substring(1));
+    const more = changes.length > listed.length ? ` and ${changes.length - listed.length} more` : '';
+    return `A ${requirement.releaseType} version bump is required by ` +
+      `${requirement.declarations.level === 'breaking' ? 'breaking changes in' : 'additions to'} ${requirement.declarations.path}: ${listed.join(', ')}${more}`;
+  }
+  return null;
+}
+
+function comparisonNote(comparison) {
+  const base = comparison.baseSha.substring(0, 7);
+  if (comparison.strategy === 'merge-base') {
+    return `Compared with ${base}, the merge base with ${comparison.baseRef}`;
+  }
+  if (comparison.strategy === 'merge-commit') {
+    return `Compared the test merge commit ${comparison.headSha.substring(0, 7)} with ${comparison.baseRef} at ${base}`;
+  }
+  return `Compared with ${comparison.baseRef} at ${base}`;
+}
+
+//what drove the requirement and which base commit was compared with
+function checkNotes(versionCheck) {
+  if (versionCheck.neutral) {
+    return [];
+  }
+  return [
+    versionCheck.requirement && requirementNote(versionCheck.requirement),
+    versionCheck.comparison && comparisonNote(versionCheck.comparison)
+  ].filter(note => note);
+}
+
+/*
+ * Merges the checks against the base branches of several pull requests into one, which fails if any
+ * base fails and is only neutral if none was checked. checks lists { pullRequest, versionCheck }.
+ */
+function combineChecks(checks) {
+  const checked = checks.filter(check => !check.versionCheck.neutral);
+  const failed = checked.filter(check => !check.versionCheck.success);
+  const name = check => `${check.pullRequest.baseRef} (#${check.pullRequest.number})`;
+  const lines = checks.map(check =>
+    `- ${name(check)}: ${check.versionCheck.description}${checkNotes(check.versionCheck).map(note => `. ${note}`).join('')}`);
+
+  let headline;
+  if (checked.length === 0) {
+    headline = `None of the ${checks.length} base branches were checked`;
+  } else if (failed.length === 0) {
+    headline = `Version check passed against ${checked.length} of ${checks.length} base branches`;
+  } else {
+    headline = `Version check failed against ${failed.map(name).join(', ')}`;
+  }
+
+  //a package changed against several bases is listed once
+  const packages = [];
+  checked.forEach(check => check.versionCheck.packages
+    .filter(result => !packages.some(pkg => pkg.path === result.path))
+    .forEach(result => packages.push(result)));
+
+  return {
+    neutral: checked.length === 0,
+    title: 'Not checked',
+    success: failed.length === 0,
+    description: `${headline}\n\n${lines.join('\n')}`,
+    bases: checked.map(check => ({
+      name: name(check),
+      versionCheck: check.versionCheck
+    })),
+    packages,
+    results: checked.reduce((results, check) => results.concat(check.versionCheck.results), [])
+  };
+}
+
+//the description with its notes; the lines of a combined check already carry theirs
+function checkSummary(versionCheck) {
+  if (versionCheck.neutral || versionCheck.bases) {
+    return versionCheck.description;
+  }
+  return versionCheck.description + checkNotes(versionCheck).map(note => `\n\n${note}`).join('');
+}
+
+function checkConclusion(versionCheck) {
+  if (versionCheck.neutral) {
+    return 'neutral';
+  }
+  return versionCheck.success ? 'success' : 'failure';
+}
+
+//the annotations over the limit of checks.create are added with checks.update, which appends them
+async function updateCheck(github, owner, repo, headSha, checkName, versionCheck, fix) {
+
+  const output = report.renderReport(versionCheck, fix);
+  const conclusion = checkConclusion(versionCheck);
+  const summary = checkSummary(versionCheck);
+
+  let annotations = [];
+  let checkParams = {
+    owner,
+    repo,
+    name: checkName,
+    head_sha: headSha,
+    status: 'completed',
+    conclusion,
+    completed_at: new Date().toISOString(),
+    output: Object.assign({
+      title: output.title,
+      summary
+    }, output.text ? {
+      text: output.text
+    } : {})
+  };
+  if (!versionCheck.neutral) {
+    annotations = versionCheck.results
+      .filter(result => (!result.success || result.annotate) && result.lineNumber)
+      .filter((result, index, results) => results.findIndex(other => other.path === result.path &&
+        other.lineNumber === result.lineNumber && other.description === result.description) === index)
+      .map(result => ({
+        path: result.path,
+        start_line: result.lineNumber,
+        end_line: result.lineNumber,
+        annotation_level: result.success ? 'notice' : 'failure',
+        message: result.expectedVersion ?
+          `${result.description}. Set the version to ${result.expectedVersion}` : result.description
+      }));
+    if (!versionCheck.success || annotations.length > 0) {
+      checkParams.output.annotations = annotations.slice(0, MAX_ANNOTATIONS);
+    }
+  }
+  if (fix) {
+    checkParams.actions = [{
+      label: fix.label,
+      description: 'Commit the fix to this pull request',
+      identifier: FIX_ACTION
+    }];
+  }
+
+  const res = await github.checks.create(checkParams);
+  for (let start = MAX_ANNOTATIONS; start < annotations.length; start += MAX_ANNOTATIONS) {
+    await github.checks.update({
+      owner,
+      repo,
+      check_run_id: res.data.id,
+      output: Object.assign({}, checkParams.output, {
+        annotations: annotations.slice(start, start + MAX_ANNOTATIONS)
+      })
+    });
+  }
+  return res;
+}
+
+/*
+ * Keeps a single comment on the pull request in step with its check: posted and updated in place while
+ * the check fails, then deleted, or collapsed when the comment setting is collapse. The comment is found
+ * again by the marker it starts with and by its author, the bot of the app that posted the check run, so
+ * a comment quoting the marker is never edited or deleted.
+ */
+async function updateComment(github, owner, repo, check, app) {
+  const mode = check.repoConfig.comment;
+  const number = check.pullRequest.number;
+  if (!mode || !number) {
+    return;
+  }
+  const comments = await getAllPages(github.issues.getComments, {
+    owner,
+    repo,
+    number
+  });
+  const login = app ? `${app.slug}[bot]` : null;
+  const existing = comments.find(comment => (comment.body || '').startsWith(report.COMMENT_MARKER) &&
+    comment.user && comment.user.type === 'Bot' && comment.user.login === login);
+  const failed = !check.versionCheck.neutral && !check.versionCheck.success;
+  if (!failed && !existing) {
+    return;
+  }
+  if (!failed && mode !== 'collapse') {
+    await github.issues.deleteComment({
+      owner,
+      repo,
+      comment_id: existing.id
+    });
+    return;
+  }
+
+  const body = report.renderComment(check.repoConfig.checkName, check.versionCheck, checkSummary(check.versionCheck), !failed);
+  if (!existing) {
+    await github.issues.createComment({
+      owner,
+      repo,
+      number,
+      body
+    });
+  } else if (existing.body !== body) {
+    await github.issues.editComment({
+      owner,
+      repo,
+      comment_id: existing.id,
+      body
+    });
+  }
+}
+
+function createResponse(statusCode, msg) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'text/plain'
+    },
+    body: msg
+  };
+}
+
+async function handleFixAction(github, owner, repo, checkRun, pullRequests) {
+  const fixResult = await applyFix(github, owner, repo, checkRun, pullRequests);
+  if (!fixResult.success) {
+    //explain the refusal on the check run and drop the button that cannot work
+    const output = checkRun.output;
+    await github.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRun.id,
+      actions: [],
+      output: Object.assign({
+        title: output.title,
+        summary: `${output.summary}\n\nThe version was not bumped: ${fixResult.description}`
+      }, output.text ? {
+        text: output.text
+      } : {})
+    });
+  }
+  return createResponse(200, fixResult.description);
+}
+
+//checks the head against the base of one pull request, with that base's configuration
+async function checkPullRequest(github, owner, repo, headSha, pullRequest) {
+  try {
+    const repoConfig = await config.loadConfig(github, owner, repo, pullRequest.baseRef);
+    return {
+      pullRequest,
+      repoConfig,
+      versionCheck: await compareVersionsFromGitHub(github, owner, repo, pullRequest.baseRef, headSha, pullRequest.number, pullRequest.body, repoConfig)
+    };
+  } catch (e) {
+    if (!(e instanceof config.ConfigError)) {
+      throw e;
+    }
+    return {
+      pullRequest,
+      repoConfig: config.defaults,
+      versionCheck: {
+        neutral: true,
+        title: 'Invalid configuration',
+        description: e.message
+      }
+    };
+  }
+}
+
+/*
+ * Posts one check run for the head commit. A commit in several pull requests is checked against
+ * every base, and the check name, changelog and auto-fix settings of the first are used. The
+ * conclusion is set on context, for the log and the metrics.
+ */
+async function runCheck(github, owner, repo, headSha, pullRequests, context) {
+  const checks = [];
+  for (const pullRequest of pullRequests.length > 0 ? pullRequests : [{}]) {
+    checks.push(await checkPullRequest(github, owner, repo, headSha, pullRequest));
+  }
+  const repoConfig = checks[0].repoConfig;
+  const versionCheck = checks.length === 1 ? checks[0].versionCheck : combineChecks(checks);
+  const fix = repoConfig.autoFix && checks.length === 1 ? findFix(versionCheck) : null;
+  const res = await updateCheck(github, owner, repo, headSha, repoConfig.checkName, versionCheck, fix);
+  context.conclusion = checkConclusion(versionCheck);
+  //each pull request gets the result against its own base
+  for (const check of checks) {
+    await updateComment(github, owner, repo, check, res.data.app);
+  }
+  //a package without a readable head version has no changelog entry to look for
+  const versioned = versionCheck.neutral ? [] : versionCheck.packages.filter(result => result.newVersion !== undefined);
+  if (repoConfig.changelog && versioned.length > 0) {
+    const changelogCheck = await checkChangelogs(github, owner, repo, headSha, repoConfig, versioned);
+    await updateCheck(github, owner, repo, headSha, `${repoConfig.checkName}: Changelog`, changelogCheck);
+  }
+  return createResponse(pullRequests.length > 0 ? 200 : 202, res.data.output.summary);
+}
+
+//the section for the version in the configured changelog, or else the pull request title and description
+async function releaseNotes(github, owner, repo, pullRequest, repoConfig, manifestPath, version) {
+  if (repoConfig.changelog) {
+    const changelogPath = posix.join(posix.dirname(manifestPath), repoConfig.changelog === true ? 'CHANGELOG.md' : repoConfig.changelog);
+    const text = await getOptionalFile((ref, path) => getFileContent(github, owner, repo, ref, path), pullRequest.merge_commit_sha, changelogPath);
+    const entry = text === null ? null : changelog.entryText(text, version);
+    if (entry) {
+      return entry;
+    }
+  }
+  //the #version-checkr flag is for the check, not for the release notes
+  const description = (pullRequest.body || '').split(/\r?\n/).filter(line => !RELEASE_FLAG.test(line)).join('\n').trim();
+  return [`${pullRequest.title} (#${pullRequest.number})`, description].filter(section => section).join('\n\n');
+}
+
+/*
+ * Tags the merge commit of a pull request that passed the version check with v<version> from its head
+ * manifest, and drafts a GitHub release for the tag. Only repositories with the release setting do this,
+ * and an existing tag is left alone.
+ */
+async function draftRelease(github, owner, repo, pullRequest) {
+  let repoConfig;
+  try {
+    repoConfig = await config.loadConfig(github, owner, repo, pullRequest.base.ref);
+  } catch (e) {
+    if (!(e instanceof config.ConfigError)) {
+      throw e;
+    }
+    return createResponse(202, e.message);
+  }
+  if (!repoConfig.release) {
+    return createResponse(202, 'Releases are not drafted for this repository');
+  }
+
+  const headSha = pullRequest.head.sha;
+  const checkRuns = (await github.checks.listForRef({
+    owner,
+    repo,
+    ref: headSha,
+    check_name: repoConfig.checkName,
+    filter: 'latest'
+  })).data.check_runs;
+  if (!checkRuns.some(checkRun => checkRun.conclusion === 'success')) {
+    return createResponse(202, `${repoConfig.checkName} did not pass for ${headSha.substring(0, 7)}, so no release was drafted`);
+  }
+
+  const headManifest = await findManifest((ref, path) => getFileContent(github, owner, repo, ref, path), headSha, repoConfig);
+  const headInfo = headManifest && tryParseManifest(headManifest.path, headManifest.text);
+  const scheme = headManifest && schemes[repoConfig.versionScheme || manifests.parserFor(headManifest.path).scheme];
+  if (!headInfo || typeof headInfo.version !== 'string' || !scheme.valid(headInfo.version)) {
+    return createResponse(202, 'No version to release');
+  }
+  const version = headInfo.version;
+  const tag = `v${version}`;
+
+  //GitHub lists the refs starting with the name when there is no exact match
+  try {
+    const existing = await github.gitdata.getReference({
+      owner,
+      repo,
+      ref: `tags/${tag}`
+    });
+    if (!Array.isArray(existing.data)) {
+      return createResponse(202, `Tag ${tag} already exists`);
+    }
+  } catch (e) {
+    if (e.code !== 404) {
+      throw e;
+    }
+  }
+
+  const sha = pullRequest.merge_commit_sha;
+  await github.gitdata.createReference({
+    owner,
+    repo,
+    ref: `refs/tags/${tag}`,
+    sha
+  });
+  await github.repos.createRelease({
+    owner,
+    repo,
+    tag_name: tag,
+    target_commitish: sha,
+    name: tag,
+    body: await releaseNotes(github, owner, repo, pullRequest, repoConfig, headManifest.path, version),
+    draft: true,
+    prerelease: scheme.prerelease(version) !== null
+  });
+  return createResponse(200, `Tagged ${sha.substring(0, 7)} as ${tag} and drafted its release`);
+}
+
+function toPullRequest(pullRequest) {
+  return {
+    number: pullRequest.number,
+    baseRef: pullRequest.base.ref,
+    body: pullRequest.body
+  };
+}
+
+//a pull_request event names one pull request, but its head commit may also be in others from the same branch
+async function findOtherPullRequests(github, owner, repo, pullRequest) {
+  const response = await github.pullRequests.getAll({
+    owner,
+    repo,
+    state: 'open',
+    head: pullRequest.head.label,
+    per_page: 100
+  });
+  return response.data
+    .filter(other => other.number !== pullRequest.number && other.head.sha === pullRequest.head.sha)
+    .map(toPullRequest);
+}
+
+//the events that run the check: new commits, description and base changes, re-runs, comment commands and the fix button
+function shouldHandle(githubEvent, webHook) {
+  const action = webHook.action;
+  switch (githubEvent) {
+    case 'check_suite':
+      return action === 'requested' || action === 'rerequested';
+    case 'check_run':
+      return action === 'rerequested' || (action === 'requested_action' && webHook.requested_action.identifier === FIX_ACTION);
+    case 'pull_request':
+      return ['opened', 'reopened', 'synchronize'].includes(action) ||
+        (action === 'edited' && Boolean(webHook.changes && (webHook.changes.body || webHook.changes.base))) ||
+        (action === 'closed' && webHook.pull_request.merged === true);
+    case 'issue_comment':
+      return action === 'created' && Boolean(webHook.issue.pull_request) && findCommand(webHook.comment.body) !== null;
+    default:
+      return false;
+  }
+}
+
+//header names are case-insensitive, and Node lower-cases them while API Gateway passes them as sent
+function getHeader(headers, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : headers[key];
+}
+
+async function handleWebhook(options, request) {
+
+  const githubEvent = getHeader(request.headers, 'X-GitHub-Event');
+  if (!githubEvent) {
+    return createResponse(400, 'Missing X-GitHub-Event');
+  }
+
+  const signatureError = checkSignature(options, request);
+  if (signatureError) {
+    return createResponse(401, signatureError);
+  }
+
+  let webHook;
+  try {
+    webHook = JSON.parse(request.body.toString());
+  } catch (e) {
+    return createResponse(400, 'The request body is not valid JSON');
+  }
+  //the delivery's log lines carry these from here on
+  Object.assign(options.context, {
+    action: webHook.action,
+    repository: webHook.repository ? `${webHook.repository.owner.login}/${webHook.repository.name}` : undefined,
+    pullRequests: webHook.pull_request || webHook.issue ? [(webHook.pull_request || webHook.issue).number] : undefined
+  });
+  if (!shouldHandle(githubEvent, webHook)) {
+    return createResponse(202, 'No action to take');
+  }
+  if (githubEvent === 'issue_comment' && !COMMAND_ASSOCIATIONS.includes(webHook.comment.author_association)) {
+    return createResponse(202, `@${webHook.comment.user.login} cannot run version-checkr commands`);
+  }
+
+  const installationId = webHook.installation.id;
+  const owner = webHook.repository.owner.login;
+  const repo = webHook.repository.name;
+
+  if (githubEvent === 'issue_comment') {
+    //the comment only names the pull request, so its head and base are fetched
+    const github = await gitHubAuthenticate(options, installationId);
+    webHook.pull_request = (await github.pullRequests.get({
+      owner,
+      repo,
+      number: webHook.issue.number
+    })).data;
+  }
+
+  if (githubEvent === 'pull_request' && webHook.action === 'closed') {
+    return draftRelease(await gitHubAuthenticate(options, installationId), owner, repo, webHook.pull_request);
+  }
+
+  let headSha, pullRequests;
+  if (webHook.pull_request) {
+    headSha = webHook.pull_request.head.sha;
+    pullRequests = [toPullRequest(webHook.pull_request)];
+  } else {
+    if (githubEvent === 'check_run') {
+      webHook.check_suite = webHook.check_run.check_suite;
+    }
+    headSha = webHook.check_suite.head_sha;
+    //check suites list the pull requests in no particular order
+    pullRequests = webHook.check_suite.pull_requests
+      .map(pullRequest => ({
+        number: pullRequest.number,
+        baseRef: pullRequest.base.ref
+      }))
+      .sort((a, b) => a.number - b.number);
+    options.context.pullRequests = pullRequests.map(pullRequest => pullRequest.number);
+  }
+
+  if (webHook.action === 'requested_action') {
+    return handleFixAction(await gitHubAuthenticate(options, installationId), owner, repo, webHook.check_run, pullRequests);
+  }
+
+  const github = await gitHubAuthenticate(options, installationId);
+  if (webHook.pull_request) {
+    pullRequests = pullRequests.concat(await findOtherPullRequests(github, owner, repo, webHook.pull_request))
+      .sort((a, b) => a.number - b.number);
+    options.context.pullRequests = pullRequests.map(pullRequest => pullRequest.number);
+  }
+
+  /*
+   * Claimed once every pull request with the head commit is known, so the check suite and the event of each
+   * pull request share one key. A forced re-run always runs, but is still remembered so its duplicates are skipped.
+   */
+  const release = options.deduplicator.claim({
+    deliveryId: getHeader(request.headers, 'X-GitHub-Delivery'),
+    repository: `${owner}/${repo}`,
+    headSha,
+    baseRefs: pullRequests.map(pullRequest => pullRequest.baseRef),
+    body: webHook.pull_request ? pullRequests.map(pullRequest => `#${pullRequest.number}\n${pullRequest.body || ''}`).join('\n') : undefined,
+    force: webHook.action === 'rerequested' || githubEvent === 'issue_comment'
+  });
+  if (release === null) {
+    return createResponse(202, `Version already checked for ${headSha.substring(0, 7)}`);
+  }
+  try {
+    return await runCheck(github, owner, repo, headSha, pullRequests, options.context);
+  } catch (e) {
+    release();
+    throw e;
+  }
+}
+
+/*
+ * Creates the webhook handler shared by every adapter. options are the GitHub App's appId and
+ * webhookSecret, or an array of secrets while one is rotated, and its privateKey as a string or as
+ * a secret provider, which is cached for privateKeyTtl seconds. SHA-1 signatures are only accepted
+ * with allowSha1Signature. Installation tokens are cached in memory, and in options.tokenStore if
+ * given. Webhooks repeated within dedupWindow seconds are skipped. The handler takes
+ * { headers, body } with the raw request body and resolves to { statusCode, headers, body }.
+ *
+ * Every webhook is logged as one JSON line with its decision, and every GitHub request with its duration,
+ * at or above logLevel to logWriter (stdout by default). metrics is 'emf' or statsd://host:port to count
+ * the checks run, their conclusions and the errors in metricsNamespace.
+ */
+function createWebhookHandler(options) {
+  const webhookSecrets = [].concat(options.webhookSecret || []).filter(secret => secret);
+  if (webhookSecrets.length === 0) {
+    throw new Error('A webhookSecret is required to verify webhook signatures');
+  }
+  const log = logger.createLogger({
+    level: options.logLevel,
+    write: options.logWriter
+  });
+  const key = options.privateKey;
+  const handlerOptions = Object.assign({}, options, {
+    webhookSecrets,
+    privateKey: typeof key === 'function' ? privateKey.cachedKey(key, {
+      ttl: options.privateKeyTtl,
+      log
+    }) : () => Promise.resolve(key),
+    tokenCache: tokenCache.createTokenCache({
+      store: options.tokenStore,
+      log
+    }),
+    deduplicator: dedup.createDeduplicator({
+      window: options.dedupWindow
+    })
+  });
+  const counters = metrics.createMetrics(options.metrics, {
+    namespace: options.metricsNamespace,
+    write: options.logWriter
+  });
+  return async request => {
+    const startedAt = Date.now();
+    const context = {
+      deliveryId: getHeader(request.headers, 'X-GitHub-Delivery'),
+      event: getHeader(request.headers, 'X-GitHub-Event')
+    };
+    const deliveryLog = log.child(context);
+    let response;
+    try {
+      response = await handleWebhook(Object.assign({}, handlerOptions, {
+        log: deliveryLog,
+        context
+      }), request);
+    } catch (e) {
+      counters.increment('Errors');
+      deliveryLog.error('Webhook failed', {
+        error: e.message,
+        durationMs: Date.now() - startedAt
+      });
+      throw e;
+    }
+    if (context.conclusion) {
+      counters.increment('ChecksRun');
+      counters.increment(CONCLUSION_METRICS[context.conclusion]);
+    }
+    //rejected requests are worth a look, every other decision is routine
+    deliveryLog[response.statusCode >= 400 ? 'warn' : 'info']('Webhook handled', {
+      statusCode: response.statusCode,
+      decision: response.body,
+      durationMs: Date.now() - startedAt
+    });
+    return response;
+  };
+}
+
+function numberFromEnv(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+//the createWebhookHandler options set by environment variables; privateKey is null if no provider is set
+function optionsFromEnv(env) {
+  return {
+    appId: env.APP_ID,
+    //several secrets are separated by commas while one is rotated
+    webhookSecret: (env.WEBHOOK_SECRET || '').split(',').map(secret => secret.trim()).filter(secret => secret),
+    allowSha1Signature: env.ALLOW_SHA1_SIGNATURE === 'true',
+    privateKey: privateKey.providerFromEnv(env),
+    privateKeyTtl: numberFromEnv(env.PRIVATE_KEY_TTL),
+    tokenStore: tokenCache.storeFromEnv(env),
+    dedupWindow: numberFromEnv(env.DEDUP_WINDOW),
+    logLevel: env.LOG_LEVEL || undefined,
+    metrics: env.METRICS || undefined,
+    metricsNamespace: env.METRICS_NAMESPACE || undefined
+  };
+}
+
+module.exports = {
+  createWebhookHandler,
+  optionsFromEnv
+};
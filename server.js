@@ -0,0 +1,23 @@
+'use strict';
+
+const server = require('./lib/server'),
+  webhook = require('./lib/webhook');
+
+const options = webhook.optionsFromEnv(process.env);
+const missing = [];
+if (!options.appId) {
+  missing.push('APP_ID');
+}
+if (options.webhookSecret.length === 0) {
+  missing.push('WEBHOOK_SECRET');
+}
+if (options.privateKey === null) {
+  missing.push('one of PRIVATE_KEY, PRIVATE_KEY_PATH, PRIVATE_KEY_SECRET_ID, PRIVATE_KEY_PARAMETER or PEM_BUCKET_NAME');
+}
+if (missing.length > 0) {
+  console.error(`Missing environment variables: ${missing.join(', ')}`);
+  process.exit(1);
+}
+
+const port = process.env.PORT || 3000;
+server.createServer(options).listen(port, () => console.log(`version-checkr listening on port ${port}`));
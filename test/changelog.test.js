@@ -0,0 +1,89 @@
+'use strict';
+
+const expect = require('chai').expect,
+  changelog = require('../lib/changelog');
+
+const text = [
+  '# Changelog',
+  '',
+  '## [Unreleased]',
+  '',
+  '## [1.3.0] - 2018-11-02',
+  '### Added',
+  '',
+  '## v1.2.0 (2018-11-01)',
+  '- Config file',
+  '',
+  '## 1.1.0-beta.1',
+  '### Fixed',
+  '- Crash on empty body',
+  '## 1.0.0',
+  ''
+].join('\n');
+
+describe('changelog', () => {
+
+  [{
+      version: '1.2.0',
+      entry: {
+        lineNumber: 8,
+        empty: false
+      }
+    },
+    {
+      version: '1.1.0-beta.1',
+      entry: {
+        lineNumber: 11,
+        empty: false
+      }
+    },
+    {
+      version: '1.3.0',
+      entry: {
+        lineNumber: 5,
+        empty: true
+      }
+    },
+    {
+      version: '1.0.0',
+      entry: {
+        lineNumber: 14,
+        empty: true
+      }
+    },
+    {
+      version: '1.1.0',
+      entry: null
+    },
+    {
+      version: '1.2',
+      entry: null
+    },
+    {
+      version: '2.0.0',
+      entry: null
+    }
+  ].forEach((data) => {
+    it(`Finds the entry for ${data.version}`, () => {
+      expect(changelog.findEntry(text, data.version)).to.deep.equal(data.entry);
+    });
+  });
+
+  it(`Returns the text of an entry`, () => {
+    expect(changelog.entryText(text, '1.1.0-beta.1')).to.equal('### Fixed\n- Crash on empty body');
+    expect(changelog.entryText(text, '1.2.0')).to.equal('- Config file');
+    expect(changelog.entryText(text, '1.3.0')).to.be.null;
+    expect(changelog.entryText(text, '2.0.0')).to.be.null;
+  });
+
+  it(`Ignores versions outside headings`, () => {
+    expect(changelog.findEntry('Released 1.0.0 today\n', '1.0.0')).to.be.null;
+  });
+
+  it(`Handles CRLF line endings`, () => {
+    expect(changelog.findEntry('## 1.0.0\r\n- Initial release\r\n', '1.0.0')).to.deep.equal({
+      lineNumber: 1,
+      empty: false
+    });
+  });
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+const expect = require('chai').expect,
+  sinon = require('sinon'),
+  config = require('../lib/config');
+
+function createContent(text) {
+  return {
+    data: {
+      content: Buffer.from(text).toString('base64')
+    }
+  };
+}
+
+describe('config', () => {
+
+  describe('parseConfig', () => {
+
+    it(`Returns defaults for an empty file`, () => {
+      expect(config.parseConfig('')).to.equal(config.defaults);
+      expect(config.parseConfig('# nothing set')).to.equal(config.defaults);
+    });
+
+    it(`Merges YAML settings over defaults`, () => {
+      const parsed = config.parseConfig([
+        'releaseType: minor',
+        'branches:',
+        '  - main',
+        '  - release/*',
+        'ignore: ["docs/**"]'
+      ].join('\n'));
+      expect(parsed).to.deep.equal({
+        releaseType: 'minor',
+        branches: ['main', 'release/*'],
+        ignore: ['docs/**'],
+        strict: false,
+        registry: false,
+        changelog: false,
+        lockfile: true,
+        checkName: 'Version Checkr',
+        conventionalCommits: true,
+        autoFix: true,
+        compareWith: 'tip',
+        declarations: false,
+        publishedFiles: false,
+        comment: false,
+        release: false
+      });
+    });
+
+    it(`Accepts JSON`, () => {
+      expect(config.parseConfig('{"checkName": "Semver"}').checkName).to.equal('Semver');
+    });
+
+    [{
+        text: 'releaseType: [minor',
+        message: 'Invalid .github/version-checkr.yml: unexpected end of the stream within a flow collection at line 2, column 1'
+      },
+      {
+        text: '- patch',
+        message: 'Invalid .github/version-checkr.yml: expected a mapping of settings'
+      },
+      {
+        text: 'bump: minor',
+        message: 'Invalid .github/version-checkr.yml: unknown setting bump'
+      },
+      {
+        text: 'releaseType: huge',
+        message: 'Invalid .github/version-checkr.yml: releaseType must be one of major, minor, patch, release, premajor, preminor, prepatch, prerelease'
+      },
+      {
+        text: 'preid: beta.1',
+        message: 'Invalid .github/version-checkr.yml: preid must be a prerelease identifier such as beta'
+      },
+      {
+        text: 'strict: 1',
+        message: 'Invalid .github/version-checkr.yml: strict must be true or false'
+      },
+      {
+        text: 'registry: npmjs.org',
+        message: 'Invalid .github/version-checkr.yml: registry must be true, false or an http(s) registry URL'
+      },
+      {
+        text: 'changelog: ""',
+        message: 'Invalid .github/version-checkr.yml: changelog must be true, false or a changelog file path'
+      },
+      {
+        text: 'lockfile: package-lock.json',
+        message: 'Invalid .github/version-checkr.yml: lockfile must be true or false'
+      },
+      {
+        text: 'manifest: [pom.xml]',
+        message: 'Invalid .github/version-checkr.yml: manifest must be a file path'
+      },
+      {
+        text: 'versionScheme: calver',
+        message: 'Invalid .github/version-checkr.yml: versionScheme must be one of semver, pep440, maven'
+      },
+      {
+        text: 'branches: main',
+        message: 'Invalid .github/version-checkr.yml: branches must be a list of branch name patterns'
+      },
+      {
+        text: 'ignore: [1]',
+        message: 'Invalid .github/version-checkr.yml: ignore must be a list of path patterns'
+      },
+      {
+        text: 'conventionalCommits: yes please',
+        message: 'Invalid .github/version-checkr.yml: conventionalCommits must be true or false'
+      },
+      {
+        text: 'autoFix: on',
+        message: 'Invalid .github/version-checkr.yml: autoFix must be true or false'
+      },
+      {
+        text: 'compareWith: base',
+        message: 'Invalid .github/version-checkr.yml: compareWith must be one of tip, merge-base, merge-commit'
+      },
+      {
+        text: 'declarations: 1',
+        message: 'Invalid .github/version-checkr.yml: declarations must be true, false or a declaration file path'
+      },
+      {
+        text: 'publishedFiles: lib/**',
+        message: 'Invalid .github/version-checkr.yml: publishedFiles must be true, false or a list of path patterns'
+      },
+      {
+        text: 'comment: hide',
+        message: 'Invalid .github/version-checkr.yml: comment must be true, false or collapse'
+      },
+      {
+        text: 'release: minor',
+        message: 'Invalid .github/version-checkr.yml: release must be true or false'
+      },
+      {
+        text: 'checkName: " "',
+        message: 'Invalid .github/version-checkr.yml: checkName must be a non-empty string'
+      }
+    ].forEach((data) => {
+      it(`Rejects ${data.text}`, () => {
+        expect(() => config.parseConfig(data.text)).to.throw(config.ConfigError, data.message);
+      });
+    });
+  });
+
+  describe('loadConfig', () => {
+
+    it(`Reads the config file from the given ref`, async () => {
+      const getContent = sinon.stub().resolves(createContent('releaseType: major'));
+      const parsed = await config.loadConfig({
+        repos: {
+          getContent
+        }
+      }, 'bob', 'myrepo', 'main');
+      expect(parsed.releaseType).to.equal('major');
+      sinon.assert.calledWith(getContent, {
+        owner: 'bob',
+        repo: 'myrepo',
+        ref: 'main',
+        path: '.github/version-checkr.yml'
+      });
+    });
+
+    it(`Returns defaults when there is no ref or no file`, async () => {
+      const error = new Error('Not Found');
+      error.code = 404;
+      const github = {
+        repos: {
+          getContent: sinon.stub().rejects(error)
+        }
+      };
+      expect(await config.loadConfig(github, 'bob', 'myrepo')).to.equal(config.defaults);
+      expect(await config.loadConfig(github, 'bob', 'myrepo', 'main')).to.equal(config.defaults);
+    });
+
+    it(`Passes through other GitHub errors`, async () => {
+      const github = {
+        repos: {
+          getContent: sinon.stub().rejects(new Error('Server Error'))
+        }
+      };
+      let error;
+      try {
+        await config.loadConfig(github, 'bob', 'myrepo', 'main');
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.have.property('message', 'Server Error');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const expect = require('chai').expect,
+  conventionalCommits = require('../lib/conventional-commits');
+
+function makeCommit(sha, message) {
+  return {
+    sha,
+    commit: {
+      message
+    }
+  };
+}
+
+describe('conventional-commits', () => {
+
+  [{
+      message: 'fix: handle empty body',
+      releaseType: 'patch'
+    },
+    {
+      message: 'docs(readme): typo',
+      releaseType: 'patch'
+    },
+    {
+      message: 'feat: add config file',
+      releaseType: 'minor'
+    },
+    {
+      message: 'Feat(api): add endpoint',
+      releaseType: 'minor'
+    },
+    {
+      message: 'feat(api)!: remove endpoint',
+      releaseType: 'major'
+    },
+    {
+      message: 'chore: bump deps\n\nBREAKING CHANGE: requires node 10',
+      releaseType: 'major'
+    },
+    {
+      message: 'chore: bump deps\n\nBREAKING-CHANGE: requires node 10',
+      releaseType: 'major'
+    },
+    {
+      message: 'Merge pull request #1 from bob/feature',
+      releaseType: undefined
+    },
+    {
+      message: 'feat:',
+      releaseType: undefined
+    }
+  ].forEach((data) => {
+    it(`${JSON.stringify(data.message)} is ${data.releaseType}`, () => {
+      expect(conventionalCommits.releaseTypeOf(data.message)).to.equal(data.releaseType);
+    });
+  });
+
+  it(`Infers the highest release type from the first commit that needs it`, () => {
+    expect(conventionalCommits.inferReleaseType([
+      makeCommit('a', 'fix: one'),
+      makeCommit('b', 'feat: two\n\nbody'),
+      makeCommit('c', 'feat: three'),
+      makeCommit('d', 'WIP')
+    ])).to.deep.equal({
+      releaseType: 'minor',
+      sha: 'b',
+      header: 'feat: two'
+    });
+  });
+
+  it(`Infers nothing without conventional commits`, () => {
+    expect(conventionalCommits.inferReleaseType([makeCommit('a', 'Update index.js')])).to.be.undefined;
+    expect(conventionalCommits.inferReleaseType([])).to.be.undefined;
+  });
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+const expect = require('chai').expect,
+  declarations = require('../lib/declarations');
+
+const BASE = [
+  '/** Parses text */',
+  'export declare function parse(text: string): Result;',
+  'export interface Options {',
+  '  strict?: boolean',
+  '  mode: \'a\' | \'b\';',
+  '  callback(err: Error): void;',
+  '}',
+  'export declare class Parser<T extends { a: 1 }> {',
+  '  private state;',
+  '  constructor(options?: Options);',
+  '  parse(text: string): T;',
+  '}',
+  'export declare const enum Kind { A = 0, B = 1 }',
+  'export type Result = { ok: boolean } | null;',
+  'export { helper as util } from \'./helper\';',
+  'export * from \'./types\';',
+  'declare const internal: number;',
+  'export declare const version: string',
+  'export default Parser;',
+  ''
+].join('\n');
+
+function compare(replacements) {
+  const head = replacements.reduce((text, replacement) => text.replace(replacement[0], replacement[1]), BASE);
+  return declarations.compareDeclarations(BASE, head);
+}
+
+describe('declarations', () => {
+
+  it(`Reads every export with its line`, () => {
+    const exports = declarations.parseDeclarations(BASE);
+    expect(Array.from(exports.keys())).to.deep.equal(['parse', 'Options', 'Parser', 'Kind', 'Result', 'util', '* from \'./types\'', 'version', 'default']);
+    expect(exports.get('Parser')).to.include({
+      kind: 'class',
+      lineNumber: 8
+    });
+    expect(Array.from(exports.get('Parser').members.keys())).to.deep.equal(['constructor', 'parse']);
+    expect(Array.from(exports.get('Options').members.keys())).to.deep.equal(['strict', 'mode', 'callback']);
+    expect(exports.get('version').signatures).to.deep.equal(['export const version:string']);
+  });
+
+  it(`Ignores comments and formatting`, () => {
+    const head = BASE
+      .replace('export declare function parse(text: string): Result;', 'export function parse(\n  text: string // the input\n): Result;')
+      .replace('{ ok: boolean }', '{\n  ok: boolean;\n}');
+    expect(declarations.compareDeclarations(BASE, head)).to.deep.equal({
+      level: 'none',
+      changes: []
+    });
+  });
+
+  [{
+    name: 'a removed export',
+    replacements: [
+      ['export declare const version: string\n', '']
+    ],
+    description: 'Removed export version',
+    lineNumber: undefined
+  }, {
+    name: 'a changed function',
+    replacements: [
+      ['parse(text: string): Result', 'parse(text: string, strict: boolean): Result']
+    ],
+    description: 'Changed export parse',
+    lineNumber: 2
+  }, {
+    name: 'a removed member',
+    replacements: [
+      ['  callback(err: Error): void;\n', '']
+    ],
+    description: 'Removed Options.callback',
+    lineNumber: 3
+  }, {
+    name: 'a changed member',
+    replacements: [
+      ['parse(text: string): T', 'parse(text: Buffer): T']
+    ],
+    description: 'Changed Parser.parse',
+    lineNumber: 8
+  }, {
+    name: 'a member made optional',
+    replacements: [
+      ['  mode: \'a\' | \'b\';', '  mode?: \'a\' | \'b\';']
+    ],
+    description: 'Changed Options.mode',
+    lineNumber: 3
+  }, {
+    name: 'a new required interface member',
+    replacements: [
+      ['  strict?: boolean', '  strict?: boolean\n  name: string']
+    ],
+    description: 'Added required member Options.name',
+    lineNumber: 3
+  }, {
+    name: 'a changed type',
+    replacements: [
+      ['{ ok: boolean } | null', '{ ok: boolean }']
+    ],
+    description: 'Changed export Result',
+    lineNumber: 14
+  }, {
+    name: 'a changed re-export',
+    replacements: [
+      ['helper as util', 'other as util']
+    ],
+    description: 'Changed export util',
+    lineNumber: 15
+  }].forEach(data => {
+    it(`Finds ${data.name} breaking`, () => {
+      const result = compare(data.replacements);
+      expect(result.level).to.equal('breaking');
+      expect(result.changes).to.deep.equal([{
+        name: data.description.split(' ').pop().split('.')[0],
+        breaking: true,
+        description: data.description,
+        lineNumber: data.lineNumber
+      }]);
+    });
+  });
+
+  it(`Finds additions`, () => {
+    const result = compare([
+      ['export default Parser;', 'export declare function parse(text: Buffer): Result;\nexport declare function format(): string;\nexport default Parser;'],
+      ['  strict?: boolean', '  strict?: boolean\n  name?: string'],
+      ['B = 1', 'B = 1, C = 2'],
+      ['  parse(text: string): T;', '  parse(text: string): T;\n  static create(): Parser<any>;']
+    ]);
+    expect(result.level).to.equal('addition');
+    expect(result.changes.map(change => change.description)).to.deep.equal([
+      'Added an overload of parse',
+      'Added Options.name',
+      'Added Parser.create',
+      'Added Kind.C',
+      'Added export format'
+    ]);
+    expect(result.changes.every(change => !change.breaking)).to.equal(true);
+  });
+
+  it(`Finds optional parameters added at the end additions`, () => {
+    const result = compare([
+      ['parse(text: string): Result', 'parse(text: string, options?: Options): Result'],
+      ['constructor(options?: Options)', 'constructor(options?: Options, ...plugins: string[])']
+    ]);
+    expect(result.level).to.equal('addition');
+    expect(result.changes).to.deep.equal([{
+      name: 'parse',
+      breaking: false,
+      description: 'Added optional parameters to parse',
+      lineNumber: 2
+    }, {
+      name: 'Parser',
+      breaking: false,
+      description: 'Added optional parameters to Parser.constructor',
+      lineNumber: 8
+    }]);
+  });
+
+  it(`Finds a required parameter added after optional ones breaking`, () => {
+    expect(compare([
+      ['constructor(options?: Options)', 'constructor(options?: Options, name: string)']
+    ]).level).to.equal('breaking');
+  });
+
+  it(`Leaves out private members`, () => {
+    expect(compare([
+      ['  private state;', '  private other: string;']
+    ]).level).to.equal('none');
+  });
+
+  it(`Counts every export of a new file as an addition`, () => {
+    const result = declarations.compareDeclarations('', BASE);
+    expect(result.level).to.equal('addition');
+    expect(result.changes).to.have.lengthOf(9);
+  });
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const expect = require('chai').expect,
+  sinon = require('sinon'),
+  dedup = require('../lib/dedup');
+
+describe('dedup', () => {
+
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers({
+      now: Date.parse('2018-11-01T12:00:00Z'),
+      toFake: ['Date']
+    });
+    this.deduplicator = dedup.createDeduplicator();
+    this.event = {
+      deliveryId: 'delivery-1',
+      repository: 'owner/repo',
+      headSha: 'headSha',
+      baseRefs: ['master'],
+      body: 'My comment'
+    };
+  });
+
+  afterEach(function () {
+    this.clock.restore();
+  });
+
+  it(`Claims a new event`, function () {
+    expect(this.deduplicator.claim(this.event)).to.be.a('function');
+  });
+
+  it(`Skips a repeated delivery`, function () {
+    this.deduplicator.claim(this.event);
+    expect(this.deduplicator.claim(Object.assign({}, this.event, {
+      headSha: 'otherSha'
+    }))).to.be.null;
+  });
+
+  it(`Skips another delivery for the same check`, function () {
+    this.deduplicator.claim(this.event);
+    expect(this.deduplicator.claim(Object.assign({}, this.event, {
+      deliveryId: 'delivery-2'
+    }))).to.be.null;
+  });
+
+  it(`Matches an event without a body to any body`, function () {
+    this.deduplicator.claim(this.event);
+    expect(this.deduplicator.claim(Object.assign({}, this.event, {
+      deliveryId: 'delivery-2',
+      body: undefined
+    }))).to.be.null;
+  });
+
+  it(`Matches any body to an earlier event without a body`, function () {
+    this.deduplicator.claim(Object.assign({}, this.event, {
+      body: undefined
+    }));
+    expect(this.deduplicator.claim(Object.assign({}, this.event, {
+      deliveryId: 'delivery-2'
+    }))).to.be.null;
+  });
+
+  ['headSha', 'baseRefs', 'body', 'repository'].forEach(field => {
+    it(`Claims an event with a different ${field}`, function () {
+      this.deduplicator.claim(this.event);
+      expect(this.deduplicator.claim(Object.assign({}, this.event, {
+        deliveryId: 'delivery-2',
+        [field]: field === 'baseRefs' ? ['other'] : 'other'
+      }))).to.be.a('function');
+    });
+  });
+
+  it(`Matches base branches in any order`, function () {
+    this.deduplicator.claim(Object.assign({}, this.event, {
+      baseRefs: ['master', 'release']
+    }));
+    expect(this.deduplicator.claim(Object.assign({}, this.event, {
+      deliveryId: 'delivery-2',
+      baseRefs: ['release', 'master']
+    }))).to.be.null;
+  });
+
+  it(`Claims a forced event`, function () {
+    this.deduplicator.claim(this.event);
+    const release = this.deduplicator.claim(Object.assign({}, this.event, {
+      deliveryId: 'delivery-2',
+      force: true
+    }));
+    expect(release).to.be.a('function');
+    expect(this.deduplicator.claim(Object.assign({}, this.event, {
+      deliveryId: 'delivery-3'
+    }))).to.be.null;
+  });
+
+  it(`Claims the event again once released`, function () {
+    this.deduplicator.claim(this.event)();
+    expect(this.deduplicator.claim(this.event)).to.be.a('function');
+  });
+
+  it(`Forgets events after the window`, function () {
+    this.deduplicator.claim(this.event);
+    this.clock.tick(299000);
+    expect(this.deduplicator.claim(this.event)).to.be.null;
+    this.clock.tick(300000);
+    expect(this.deduplicator.claim(this.event)).to.be.a('function');
+  });
+
+  it(`Uses the configured window`, function () {
+    const deduplicator = dedup.createDeduplicator({
+      window: 10
+    });
+    deduplicator.claim(this.event);
+    this.clock.tick(10000);
+    expect(deduplicator.claim(this.event)).to.be.a('function');
+  });
+
+  it(`Claims every event with a window of 0`, function () {
+    const deduplicator = dedup.createDeduplicator({
+      window: 0
+    });
+    deduplicator.claim(this.event);
+    expect(deduplicator.claim(this.event)).to.be.a('function');
+  });
+});
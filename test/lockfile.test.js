@@ -0,0 +1,186 @@
+'use strict';
+
+const expect = require('chai').expect,
+  lockfile = require('../lib/lockfile');
+
+const lockV2 = JSON.stringify({
+  name: 'root',
+  version: '1.3.9',
+  lockfileVersion: 2,
+  requires: true,
+  packages: {
+    '': {
+      name: 'root',
+      version: '1.3.9',
+      workspaces: ['packages/*']
+    },
+    'node_modules/a': {
+      resolved: 'packages/a',
+      link: true
+    },
+    'packages/a': {
+      version: '2.0.0'
+    },
+    'packages/b': {
+      version: '3.0.0'
+    }
+  },
+  dependencies: {
+    a: {
+      version: 'file:packages/a'
+    }
+  }
+}, null, 2);
+
+describe('lockfile', () => {
+
+  describe('keyLines', () => {
+
+    it(`Maps nested keys to lines`, () => {
+      const lines = lockfile.keyLines(lockV2);
+      expect(lines.get('["version"]')).to.equal(3);
+      expect(lines.get('["packages","","version"]')).to.equal(9);
+      expect(lines.get('["packages","packages/a","version"]')).to.equal(19);
+      expect(lines.get('["dependencies","a","version"]')).to.equal(27);
+    });
+
+    it(`Handles escaped quotes and skips array elements`, () => {
+      const lines = lockfile.keyLines('{"a\\"b": ["{\\"c\\": 1}", {"d": 1}],\n"e": {"f": "}"},\n"g": 1}');
+      expect(Array.from(lines.entries())).to.deep.equal([
+        ['["a\\"b"]', 1],
+        ['["e"]', 2],
+        ['["e","f"]', 2],
+        ['["g"]', 3]
+      ]);
+    });
+  });
+
+  describe('findMismatches', () => {
+
+    it(`Reports every mismatched version with its line`, () => {
+      expect(lockfile.findMismatches(lockV2, 'package-lock.json', [{
+        dir: '',
+        version: '1.4.0'
+      }, {
+        dir: 'packages/a',
+        version: '2.1.0'
+      }, {
+        dir: 'packages/b',
+        version: '3.0.0'
+      }])).to.deep.equal([{
+        path: 'package-lock.json',
+        success: false,
+        description: 'package-lock.json version is 1.3.9, but package.json version is 1.4.0',
+        lineNumber: 3
+      }, {
+        path: 'package-lock.json',
+        success: false,
+        description: 'package-lock.json packages[""].version is 1.3.9, but package.json version is 1.4.0',
+        lineNumber: 9
+      }, {
+        path: 'package-lock.json',
+        success: false,
+        description: 'package-lock.json packages["packages/a"].version is 2.0.0, but packages/a/package.json version is 2.1.0',
+        lineNumber: 19
+      }]);
+    });
+
+    it(`Only checks packages for lockfileVersion 2 and later`, () => {
+      const lockV1 = JSON.stringify({
+        version: '1.0.0',
+        lockfileVersion: 1,
+        packages: {
+          '': {
+            version: '0.0.1'
+          }
+        }
+      }, null, 2);
+      expect(lockfile.findMismatches(lockV1, 'npm-shrinkwrap.json', [{
+        dir: '',
+        version: '1.0.0'
+      }])).to.deep.equal([]);
+    });
+
+    it(`Ignores packages missing from the lockfile`, () => {
+      expect(lockfile.findMismatches('{"lockfileVersion": 3, "packages": {}}', 'package-lock.json', [{
+        dir: '',
+        version: '1.0.0'
+      }, {
+        dir: 'packages/c',
+        version: '1.0.0'
+      }])).to.deep.equal([]);
+    });
+
+    it(`Fails for a lockfile with merge conflict markers`, () => {
+      const conflicted = lockV2.replace('  "version": "1.3.9",\n  "lockfileVersion"',
+        '<<<<<<< HEAD\n  "version": "1.3.9",\n=======\n  "version": "1.4.0",\n>>>>>>> main\n  "lockfileVersion"');
+      expect(lockfile.findMismatches(conflicted, 'package-lock.json', [{
+        dir: '',
+        version: '1.4.0'
+      }])).to.deep.equal([{
+        path: 'package-lock.json',
+        success: false,
+        description: 'package-lock.json is not valid JSON at line 3, column 1',
+        lineNumber: 3
+      }]);
+    });
+
+    it(`Finds merge conflict markers at the start of a lockfile`, () => {
+      expect(lockfile.findMismatches(`<<<<<<< HEAD\n${lockV2}`, 'package-lock.json', [{
+        dir: '',
+        version: '1.4.0'
+      }])).to.deep.equal([{
+        path: 'package-lock.json',
+        success: false,
+        description: 'package-lock.json is not valid JSON at line 1, column 1',
+        lineNumber: 1
+      }]);
+    });
+
+    it(`Skips a lockfile without content`, () => {
+      expect(lockfile.findMismatches('', 'package-lock.json', [{
+        dir: '',
+        version: '1.4.0'
+      }])).to.deep.equal([]);
+    });
+  });
+
+  describe('setVersions', () => {
+
+    it(`Rewrites only the mismatched versions`, () => {
+      const updated = lockfile.setVersions(lockV2, [{
+        dir: '',
+        version: '1.4.0'
+      }, {
+        dir: 'packages/b',
+        version: '3.0.1'
+      }]);
+      const lock = JSON.parse(updated);
+      expect(lock.version).to.equal('1.4.0');
+      expect(lock.packages[''].version).to.equal('1.4.0');
+      expect(lock.packages['packages/a'].version).to.equal('2.0.0');
+      expect(lock.packages['packages/b'].version).to.equal('3.0.1');
+      expect(updated.split('\n')).to.have.lengthOf(lockV2.split('\n').length);
+      expect(lockfile.findMismatches(updated, 'package-lock.json', [{
+        dir: '',
+        version: '1.4.0'
+      }])).to.deep.equal([]);
+    });
+
+    it(`Keeps a lockfile without mismatches as is`, () => {
+      expect(lockfile.setVersions(lockV2, [{
+        dir: '',
+        version: '1.3.9'
+      }])).to.equal(lockV2);
+    });
+
+    ['', '{"version": "1.3.9",'].forEach(text => {
+      it(`Keeps the unreadable lockfile ${JSON.stringify(text)} as is`, () => {
+        expect(lockfile.setVersions(text, [{
+          dir: '',
+          version: '1.4.0'
+        }])).to.equal(text);
+      });
+    });
+  });
+});
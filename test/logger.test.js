@@ -0,0 +1,79 @@
+'use strict';
+
+const expect = require('chai').expect,
+  sinon = require('sinon'),
+  logger = require('../lib/logger');
+
+describe('logger', () => {
+
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers({
+      now: Date.parse('2018-11-01T12:00:00Z'),
+      toFake: ['Date']
+    });
+    this.lines = [];
+    this.write = line => this.lines.push(JSON.parse(line));
+  });
+
+  afterEach(function () {
+    this.clock.restore();
+  });
+
+  it(`Writes one JSON object per line`, function () {
+    logger.createLogger({
+      write: this.write
+    }).info('Webhook handled', {
+      statusCode: 200
+    });
+    expect(this.lines).to.deep.equal([{
+      time: '2018-11-01T12:00:00.000Z',
+      level: 'info',
+      msg: 'Webhook handled',
+      statusCode: 200
+    }]);
+  });
+
+  it(`Drops lines below the level`, function () {
+    const log = logger.createLogger({
+      level: 'warn',
+      write: this.write
+    });
+    log.debug('debug');
+    log.info('info');
+    log.warn('warn');
+    log.error('error');
+    expect(this.lines.map(line => line.level)).to.deep.equal(['warn', 'error']);
+  });
+
+  it(`Writes nothing when silent`, function () {
+    logger.createLogger({
+      level: 'silent',
+      write: this.write
+    }).error('error');
+    expect(this.lines).to.be.empty;
+  });
+
+  it(`Adds the fields of child loggers, including ones set later`, function () {
+    const fields = {
+      deliveryId: 'delivery-1'
+    };
+    const log = logger.createLogger({
+      write: this.write
+    }).child({
+      event: 'pull_request'
+    }).child(fields);
+    fields.repository = 'bob/myrepo';
+    log.info('GitHub request');
+    expect(this.lines[0]).to.include({
+      event: 'pull_request',
+      deliveryId: 'delivery-1',
+      repository: 'bob/myrepo'
+    });
+  });
+
+  it(`Rejects an unknown level`, () => {
+    expect(() => logger.createLogger({
+      level: 'verbose'
+    })).to.throw('Unknown log level verbose');
+  });
+});
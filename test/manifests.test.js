@@ -0,0 +1,235 @@
+'use strict';
+
+const expect = require('chai').expect,
+  manifests = require('../lib/manifests');
+
+function parse(path, text) {
+  return manifests.parserFor(path).parse(text);
+}
+
+describe('manifests', () => {
+
+  it(`Auto-detects npm first`, () => {
+    expect(manifests.DEFAULT_PATHS[0]).to.equal('package.json');
+    expect(manifests.DEFAULT_PATHS).to.include.members(['pyproject.toml', 'setup.cfg', 'Cargo.toml', 'pom.xml', 'build.gradle', 'VERSION']);
+  });
+
+  it(`Picks parsers by file name`, () => {
+    expect(manifests.parserFor('python/pyproject.toml').type).to.equal('pyproject');
+    expect(manifests.parserFor('build.gradle.kts').type).to.equal('gradle');
+    expect(manifests.parserFor('release.txt').type).to.equal('version');
+  });
+
+  describe('package.json', () => {
+
+    it(`Reads the version, name and workspaces`, () => {
+      expect(parse('package.json', '{\n  "name": "a",\n  "version": "1.0.0",\n  "private": true,\n  "workspaces": ["./packages/*/"]\n}')).to.deep.equal({
+        version: '1.0.0',
+        lineNumber: 3,
+        name: 'a',
+        publishable: false,
+        workspaces: ['packages/*']
+      });
+    });
+
+    it(`Only requires a version without workspaces`, () => {
+      expect(parse('package.json', '{"name": "a"}')).to.be.null;
+      expect(parse('package.json', '{"workspaces": {"packages": ["lib/*"]}}').workspaces).to.deep.equal(['lib/*']);
+    });
+
+    [{
+      text: '{\n  "name": "a",\n  "version": "1.0.0",\n}',
+      message: 'is not valid JSON at line 4, column 1',
+      lineNumber: 4
+    }, {
+      text: '{\n  "version": "1.0.0"',
+      message: 'is not valid JSON at line 2, column 21',
+      lineNumber: 2
+    }, {
+      text: '{\n  "name": "a",\n  "version": "1.0.0",\n  "private": yes\n}',
+      message: 'is not valid JSON at line 4, column 14',
+      lineNumber: 4
+    }, {
+      text: '{\n  "version": "1.0.0"x\n}',
+      message: 'is not valid JSON at line 2, column 21',
+      lineNumber: 2
+    }, {
+      text: '{\n  "version": "1.0.\\q"\n}',
+      message: 'is not valid JSON at line 2, column 20',
+      lineNumber: 2
+    }, {
+      text: '["1.0.0"]',
+      message: 'is not a JSON object',
+      lineNumber: 1
+    }].forEach(data => {
+      it(`Throws a ManifestError for ${JSON.stringify(data.text)}`, () => {
+        expect(() => parse('package.json', data.text)).to.throw(manifests.ManifestError, data.message)
+          .with.property('lineNumber', data.lineNumber);
+      });
+    });
+  });
+
+  describe('pyproject.toml', () => {
+
+    it(`Reads the PEP 621 project version`, () => {
+      expect(parse('pyproject.toml', [
+        '[build-system]',
+        'requires = ["setuptools"]',
+        'version = "0.0.0"',
+        '',
+        '[project]',
+        'name = "mypackage"',
+        "version = '1.2.0rc1'"
+      ].join('\n'))).to.deep.equal({
+        version: '1.2.0rc1',
+        lineNumber: 7
+      });
+    });
+
+    it(`Reads the Poetry version`, () => {
+      expect(parse('pyproject.toml', '[tool . "poetry"]\r\nversion = "2.0.0" # bump me\r\n')).to.deep.equal({
+        version: '2.0.0',
+        lineNumber: 2
+      });
+    });
+
+    it(`Ignores arrays of tables`, () => {
+      expect(parse('pyproject.toml', '[[project]]\nversion = "1.0.0"\n')).to.be.null;
+    });
+
+    it(`Finds dynamic versions`, () => {
+      expect(parse('pyproject.toml', '[project]\ndynamic = ["version"]\n')).to.deep.equal({
+        dynamic: true,
+        lineNumber: 2
+      });
+      expect(parse('pyproject.toml', '[project]\nname = "a"\ndynamic = [\n  "readme",\n  "version",\n]\n')).to.have.property('lineNumber', 3);
+      expect(parse('pyproject.toml', '[project]\ndynamic = ["readme"]\nversion = "1.0"\n')).to.have.property('version', '1.0');
+      expect(parse('pyproject.toml', '[project]\ndynamic = ["version"]\n[tool.poetry]\nversion = "0.0.0"\n')).to.have.property('version', '0.0.0');
+    });
+  });
+
+  describe('setup.cfg', () => {
+
+    it(`Reads the metadata version`, () => {
+      expect(parse('setup.cfg', '[options]\nversion = 0.1\n[metadata]\nname = a\nversion: 1.0.post1\n')).to.deep.equal({
+        version: '1.0.post1',
+        lineNumber: 5
+      });
+    });
+
+    it(`Does not follow attr: versions`, () => {
+      expect(parse('setup.cfg', '[metadata]\nversion = attr: mypackage.__version__\n')).to.deep.equal({
+        dynamic: true,
+        lineNumber: 2
+      });
+    });
+  });
+
+  describe('Cargo.toml', () => {
+
+    it(`Reads the package version`, () => {
+      expect(parse('Cargo.toml', '[package]\nname = "a"\nversion = "0.3.1"\n\n[dependencies]\nserde = { version = "1.0" }\n')).to.deep.equal({
+        version: '0.3.1',
+        lineNumber: 3
+      });
+    });
+
+    it(`Reads the workspace package version`, () => {
+      expect(parse('Cargo.toml', '[workspace]\nmembers = ["a"]\n\n[workspace.package]\nversion = "1.1.0"\n').lineNumber).to.equal(5);
+    });
+
+    it(`Ignores dependency versions`, () => {
+      expect(parse('Cargo.toml', '[dependencies.serde]\nversion = "1.0"\n')).to.be.null;
+    });
+
+    ['version.workspace = true', 'version = { workspace = true }'].forEach(line => {
+      it(`Finds the inherited version ${line}`, () => {
+        expect(parse('Cargo.toml', `[package]\nname = "a"\n${line}\n`)).to.deep.equal({
+          dynamic: true,
+          lineNumber: 3
+        });
+      });
+    });
+  });
+
+  describe('pom.xml', () => {
+
+    it(`Reads the project version, not the parent or dependency versions`, () => {
+      expect(parse('pom.xml', [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<project xmlns="http://maven.apache.org/POM/4.0.0">',
+        '  <!-- <version>9.9.9</version> -->',
+        '  <parent>',
+        '    <groupId>org.example</groupId>',
+        '    <version>5.0.0</version>',
+        '  </parent>',
+        '  <modelVersion>4.0.0</modelVersion>',
+        '  <relativePath/>',
+        '  <version>',
+        '    1.2.0-SNAPSHOT',
+        '  </version>',
+        '  <dependencies>',
+        '    <dependency><version>3.0</version></dependency>',
+        '  </dependencies>',
+        '</project>'
+      ].join('\n'))).to.deep.equal({
+        version: '1.2.0-SNAPSHOT',
+        lineNumber: 10
+      });
+    });
+
+    it(`Returns null for a version inherited from the parent`, () => {
+      expect(parse('pom.xml', '<project><parent><version>1.0</version></parent></project>')).to.be.null;
+    });
+  });
+
+  describe('build.gradle', () => {
+
+    it(`Reads the top-level version`, () => {
+      expect(parse('build.gradle', [
+        'plugins {',
+        "  id 'java'",
+        '}',
+        'dependencies {',
+        "  version = '0.0.1'",
+        '}',
+        "version '1.4.0'"
+      ].join('\n'))).to.deep.equal({
+        version: '1.4.0',
+        lineNumber: 7
+      });
+    });
+
+    it(`Reads Kotlin script versions`, () => {
+      expect(parse('build.gradle.kts', 'group = "org.example"\nversion = "2.0.0-rc1"\n').version).to.equal('2.0.0-rc1');
+      expect(parse('build.gradle.kts', 'group = "org.example"\n')).to.be.null;
+    });
+  });
+
+  describe('VERSION', () => {
+
+    it(`Reads the first non-empty line`, () => {
+      expect(parse('VERSION', '\n  1.0.0  \n')).to.deep.equal({
+        version: '1.0.0',
+        lineNumber: 2
+      });
+      expect(parse('VERSION', '\n')).to.be.null;
+    });
+  });
+
+  describe('setVersion', () => {
+
+    it(`Replaces the version in place`, () => {
+      expect(manifests.setVersion('package.json', '{\n  "name": "a",\n  "version": "1.0.0",\n  "x": "1.0.0"\n}', '1.0.1'))
+        .to.equal('{\n  "name": "a",\n  "version": "1.0.1",\n  "x": "1.0.0"\n}');
+      expect(manifests.setVersion('pyproject.toml', '[tool.black]\ntarget = "1.0"\n[project]\r\nversion = "1.0"\r\n', '1.1'))
+        .to.equal('[tool.black]\ntarget = "1.0"\n[project]\r\nversion = "1.1"\r\n');
+      expect(manifests.setVersion('VERSION', '1.0.0\n', '2.0.0')).to.equal('2.0.0\n');
+    });
+
+    it(`Replaces a pom.xml version on the line after its tag`, () => {
+      expect(manifests.setVersion('pom.xml', '<project>\n  <parent><version>1.0</version></parent>\n  <version>\n    1.0\n  </version>\n</project>', '1.1'))
+        .to.equal('<project>\n  <parent><version>1.0</version></parent>\n  <version>\n    1.1\n  </version>\n</project>');
+    });
+  });
+});
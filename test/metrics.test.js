@@ -0,0 +1,62 @@
+'use strict';
+
+const expect = require('chai').expect,
+  dgram = require('dgram'),
+  sinon = require('sinon'),
+  metrics = require('../lib/metrics');
+
+describe('metrics', () => {
+
+  it(`Writes CloudWatch Embedded Metric Format lines`, () => {
+    const clock = sinon.useFakeTimers({
+      now: Date.parse('2018-11-01T12:00:00Z'),
+      toFake: ['Date']
+    });
+    const lines = [];
+    try {
+      metrics.createMetrics('emf', {
+        write: line => lines.push(JSON.parse(line))
+      }).increment('ChecksRun');
+    } finally {
+      clock.restore();
+    }
+    expect(lines).to.deep.equal([{
+      _aws: {
+        Timestamp: Date.parse('2018-11-01T12:00:00Z'),
+        CloudWatchMetrics: [{
+          Namespace: 'VersionCheckr',
+          Dimensions: [[]],
+          Metrics: [{
+            Name: 'ChecksRun',
+            Unit: 'Count'
+          }]
+        }]
+      },
+      ChecksRun: 1
+    }]);
+  });
+
+  it(`Sends StatsD counters`, done => {
+    const server = dgram.createSocket('udp4');
+    server.on('message', message => {
+      server.close();
+      expect(message.toString()).to.equal('checks.Errors:2|c');
+      done();
+    });
+    server.bind(0, '127.0.0.1', () => {
+      metrics.createMetrics(`statsd://127.0.0.1:${server.address().port}`, {
+        namespace: 'checks'
+      }).increment('Errors', 2);
+    });
+  });
+
+  it(`Sends nothing without a sink`, () => {
+    expect(() => metrics.createMetrics(undefined).increment('ChecksRun')).to.not.throw();
+  });
+
+  ['prometheus', 'statsd://'].forEach(sink => {
+    it(`Rejects the sink ${sink}`, () => {
+      expect(() => metrics.createMetrics(sink)).to.throw(Error);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const expect = require('chai').expect,
+  published = require('../lib/published');
+
+function publishedPaths(filter, paths) {
+  return paths.filter(filter);
+}
+
+const PATHS = [
+  'package.json',
+  'README.md',
+  'LICENSE',
+  'index.js',
+  'lib/index.js',
+  'lib/util/format.js',
+  'lib/index.test.js',
+  'test/index.test.js',
+  '.github/workflows/ci.yml',
+  '.eslintrc',
+  'node_modules/x/index.js',
+  'package-lock.json'
+];
+
+describe('published', () => {
+
+  describe('filesFilter', () => {
+
+    it(`Packs matching files and directories plus the files npm always packs`, () => {
+      expect(publishedPaths(published.filesFilter(['lib', '!lib/**/*.test.js'], 'index.js'), PATHS)).to.deep.equal([
+        'package.json',
+        'README.md',
+        'LICENSE',
+        'index.js',
+        'lib/index.js',
+        'lib/util/format.js'
+      ]);
+    });
+
+    it(`Anchors globs at the package root`, () => {
+      expect(publishedPaths(published.filesFilter(['./*.js']), PATHS)).to.deep.equal([
+        'package.json',
+        'README.md',
+        'LICENSE',
+        'index.js'
+      ]);
+    });
+  });
+
+  it(`Finds files entries that match no committed path`, () => {
+    expect(published.unmatchedFiles(['dist', 'lib/', './index.js', '!lib/**/*.test.js', 'types/*.d.ts'], PATHS)).to.deep.equal([
+      'dist',
+      'types/*.d.ts'
+    ]);
+  });
+
+  describe('ignoreFilter', () => {
+
+    it(`Packs everything that is not ignored`, () => {
+      expect(publishedPaths(published.ignoreFilter('# dev files\ntest/\n.*\n*.test.js\n'), PATHS)).to.deep.equal([
+        'package.json',
+        'README.md',
+        'LICENSE',
+        'index.js',
+        'lib/index.js',
+        'lib/util/format.js'
+      ]);
+    });
+
+    it(`Anchors patterns with a slash and lets ! include files again`, () => {
+      expect(publishedPaths(published.ignoreFilter('/lib/util\nlib\n!lib/index.js\nREADME.md'), PATHS)).to.deep.equal([
+        'package.json',
+        'README.md',
+        'LICENSE',
+        'index.js',
+        'lib/index.js',
+        'test/index.test.js',
+        '.github/workflows/ci.yml',
+        '.eslintrc'
+      ]);
+    });
+
+    it(`Only matches directories with a trailing slash`, () => {
+      expect(published.ignoreFilter('index.js/')('index.js')).to.equal(true);
+      expect(published.ignoreFilter('lib/')('lib/index.js')).to.equal(false);
+    });
+  });
+
+  describe('releaseFilter', () => {
+
+    const BASE_MANIFEST = {
+      version: '1.0.0',
+      dependencies: {
+        semver: '^5.0.0'
+      },
+      scripts: {
+        test: 'mocha'
+      }
+    };
+
+    function releasePaths(headManifest) {
+      return publishedPaths(published.releaseFilter(published.ignoreFilter(''), BASE_MANIFEST, headManifest), PATHS.slice(0, 4));
+    }
+
+    it(`Leaves out the README and a package.json with only unpublished changes`, () => {
+      expect(releasePaths(Object.assign({}, BASE_MANIFEST, {
+        version: '1.1.0',
+        devDependencies: {
+          mocha: '^5.0.0'
+        },
+        scripts: {
+          test: 'nyc mocha'
+        }
+      }))).to.deep.equal([
+        'LICENSE',
+        'index.js'
+      ]);
+    });
+
+    it(`Keeps a package.json with published changes`, () => {
+      [{
+        dependencies: {
+          semver: '^6.0.0'
+        }
+      }, {
+        scripts: {
+          test: 'mocha',
+          postinstall: 'node setup.js'
+        }
+      }].forEach(change => {
+        expect(releasePaths(Object.assign({}, BASE_MANIFEST, change))).to.include('package.json');
+      });
+    });
+
+    it(`Keeps the package.json of a new package`, () => {
+      expect(published.releaseFilter(() => true, null, BASE_MANIFEST)('package.json')).to.equal(true);
+    });
+  });
+
+  it(`globFilter matches the configured globs`, () => {
+    expect(publishedPaths(published.globFilter(['lib/**', '*.json']), PATHS)).to.deep.equal([
+      'package.json',
+      'lib/index.js',
+      'lib/util/format.js',
+      'lib/index.test.js',
+      'package-lock.json'
+    ]);
+  });
+});
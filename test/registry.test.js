@@ -0,0 +1,154 @@
+'use strict';
+
+const http = require('http'),
+  expect = require('chai').expect,
+  registry = require('../lib/registry');
+
+describe('registry', () => {
+
+  before(function (done) {
+    this.requests = [];
+    this.server = http.createServer((req, res) => {
+      this.requests.push(req);
+      if (req.url === '/mypackage' || req.url === '/@scope%2fmypackage') {
+        res.writeHead(200, {
+          'Content-Type': 'application/json'
+        });
+        res.end(JSON.stringify({
+          'dist-tags': {
+            latest: '1.2.0',
+            next: '2.0.0-beta.1'
+          },
+          versions: {
+            '1.1.0': {},
+            '1.2.0': {},
+            '2.0.0-beta.1': {}
+          }
+        }));
+      } else if (req.url === '/broken') {
+        res.writeHead(200);
+        res.end('<html>');
+      } else if (req.url === '/error') {
+        res.writeHead(500);
+        res.end();
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    }).listen(0, '127.0.0.1', () => {
+      this.registryUrl = `http://127.0.0.1:${this.server.address().port}`;
+      done();
+    });
+  });
+
+  after(function (done) {
+    this.server.close(done);
+  });
+
+  beforeEach(function () {
+    this.requests.length = 0;
+    delete process.env.NPM_REGISTRY_URL;
+    delete process.env.NPM_TOKEN;
+    process.env.NPM_REGISTRY_ALLOWLIST = `${this.registryUrl}, 127.0.0.1:1`;
+  });
+
+  after(() => {
+    delete process.env.NPM_REGISTRY_ALLOWLIST;
+  });
+
+  it(`Fetches abbreviated metadata for scoped packages`, async function () {
+    const packument = await registry.fetchPackument(`${this.registryUrl}/`, '@scope/mypackage');
+    expect(packument['dist-tags'].latest).to.equal('1.2.0');
+    expect(this.requests[0].headers.accept).to.contain('application/vnd.npm.install-v1+json');
+    expect(this.requests[0].headers.authorization).to.not.exist;
+  });
+
+  it(`Returns null for unpublished packages`, async function () {
+    expect(await registry.fetchPackument(this.registryUrl, 'unknown')).to.be.null;
+  });
+
+  it(`Sends the token only to the trusted registry`, async function () {
+    process.env.NPM_TOKEN = 'secret';
+    process.env.NPM_REGISTRY_URL = 'https://npm.example.com/';
+    await registry.fetchPackument(this.registryUrl, 'mypackage');
+    expect(this.requests[0].headers.authorization).to.not.exist;
+    process.env.NPM_REGISTRY_URL = `${this.registryUrl}/`;
+    await registry.fetchPackument(this.registryUrl, 'mypackage');
+    expect(this.requests[1].headers.authorization).to.equal('Bearer secret');
+  });
+
+  [{
+      name: 'broken',
+      message: 'registry sent invalid JSON'
+    },
+    {
+      name: 'error',
+      message: 'registry responded with 500'
+    }
+  ].forEach((data) => {
+    it(`Rejects with a RegistryError for ${data.name} responses`, async function () {
+      let error;
+      try {
+        await registry.fetchPackument(this.registryUrl, data.name);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(registry.RegistryError);
+      expect(error.message).to.equal(data.message);
+    });
+  });
+
+  it(`Rejects with a RegistryError when the registry is unreachable`, async () => {
+    let error;
+    try {
+      await registry.fetchPackument('http://127.0.0.1:1', 'mypackage');
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(registry.RegistryError);
+  });
+
+  it(`Only fetches from allowed registries`, async function () {
+    delete process.env.NPM_REGISTRY_ALLOWLIST;
+    let error;
+    try {
+      await registry.fetchPackument(this.registryUrl, 'mypackage');
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(registry.RegistryError);
+    expect(error.message).to.equal('registry is not allowed, add it to NPM_REGISTRY_ALLOWLIST of the app');
+    expect(this.requests).to.be.empty;
+    process.env.NPM_REGISTRY_URL = `${this.registryUrl}/`;
+    expect(await registry.fetchPackument(this.registryUrl, 'mypackage')).to.have.property('dist-tags');
+  });
+
+  describe('checkPublished', () => {
+
+    const packument = {
+      'dist-tags': {
+        latest: '1.2.0'
+      },
+      versions: {
+        '1.1.0': {},
+        '1.2.0': {},
+        '2.0.0-beta.1': {}
+      }
+    };
+
+    it(`Allows versions greater than latest`, () => {
+      expect(registry.checkPublished(packument, '1.2.1', 'r')).to.be.undefined;
+      expect(registry.checkPublished(packument, '2.0.0-beta.2', 'r')).to.be.undefined;
+      expect(registry.checkPublished(null, '0.0.1', 'r')).to.be.undefined;
+      expect(registry.checkPublished({}, '0.0.1', 'r')).to.be.undefined;
+    });
+
+    it(`Rejects published versions`, () => {
+      expect(registry.checkPublished(packument, '2.0.0-beta.1', 'r')).to.equal('Version 2.0.0-beta.1 is already published to r');
+    });
+
+    it(`Rejects versions not greater than latest`, () => {
+      expect(registry.checkPublished(packument, '1.1.5', 'r')).to.equal('Version 1.1.5 is not greater than 1.2.0, the latest version published to r');
+    });
+  });
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+const expect = require('chai').expect,
+  report = require('../lib/report');
+
+const TABLE_HEADER = [
+  '| Manifest | Base | Head | Required | Required by | Minimum | Result |',
+  '| --- | --- | --- | --- | --- | --- | --- |'
+];
+
+function packageResult(path, oldVersion, newVersion, minimumVersion, success) {
+  return {
+    path,
+    success,
+    description: success ? `Version ${newVersion} will replace ${oldVersion}` :
+      `Version ${newVersion} requires a minor version number greater than ${oldVersion}`,
+    oldVersion,
+    newVersion,
+    minimumVersion,
+    fixVersion: success ? undefined : minimumVersion
+  };
+}
+
+function versionCheck(packages, requirement, extraResults = []) {
+  return {
+    success: packages.concat(extraResults).every(result => result.success),
+    requirement: Object.assign({
+      releaseType: 'minor',
+      source: 'flag'
+    }, requirement),
+    packages,
+    results: packages.concat(extraResults)
+  };
+}
+
+describe('report', () => {
+
+  it(`Names the bump in the title`, () => {
+    const output = report.renderReport(versionCheck([packageResult('package.json', '1.2.3', '1.3.0', '1.3.0', true)]));
+    expect(output.title).to.equal('1.2.3 → 1.3.0 (minor)');
+    expect(output.text).to.equal(TABLE_HEADER.concat([
+      '| `package.json` | 1.2.3 | 1.3.0 | minor | Pull request flag | 1.3.0 | Pass |',
+      '',
+      '- Pass `package.json`: Version 1.3.0 will replace 1.2.3'
+    ]).join('\n'));
+  });
+
+  it(`Explains how to fix a failure`, () => {
+    const output = report.renderReport(versionCheck([packageResult('package.json', '1.2.3', '1.2.4', '1.3.0', false)]), {
+      label: 'Bump to 1.3.0'
+    });
+    expect(output.title).to.equal('1.2.3 → 1.2.4 (minor)');
+    expect(output.text).to.equal(TABLE_HEADER.concat([
+      '| `package.json` | 1.2.3 | 1.2.4 | minor | Pull request flag | 1.3.0 | Fail |',
+      '',
+      '- Fail `package.json`: Version 1.2.4 requires a minor version number greater than 1.2.3',
+      '',
+      '#### How to fix',
+      '',
+      '- Run `npm version 1.3.0 --no-git-tag-version`',
+      '- Or click **Bump to 1.3.0** above to commit the fix to this pull request'
+    ]).join('\n'));
+  });
+
+  [{
+    requirement: {
+      source: 'config',
+      releaseType: 'patch'
+    },
+    required: 'patch',
+    source: 'Default'
+  }, {
+    requirement: {
+      source: 'config'
+    },
+    required: 'minor',
+    source: '`.github/version-checkr.yml`'
+  }, {
+    requirement: {
+      source: 'comment',
+      user: 'alice',
+      strict: true
+    },
+    required: 'minor strict',
+    source: 'Comment by @alice'
+  }, {
+    requirement: {
+      source: 'commit',
+      commit: {
+        sha: '1abcdef0123456',
+        header: 'feat: add thing'
+      }
+    },
+    required: 'minor',
+    source: 'Commit 1abcdef'
+  }, {
+    requirement: {
+      source: 'declarations',
+      releaseType: 'major',
+      declarations: {
+        path: 'index.d.ts',
+        level: 'breaking',
+        changes: []
+      }
+    },
+    required: 'major',
+    source: 'Breaking changes in `index.d.ts`'
+  }, {
+    requirement: {
+      releaseType: 'prerelease',
+      preid: 'rc'
+    },
+    required: 'prerelease rc',
+    source: 'Pull request flag'
+  }].forEach(data => {
+    it(`Shows a ${data.required} requirement from ${data.source}`, () => {
+      const output = report.renderReport(versionCheck([packageResult('package.json', '1.2.3', '1.3.0', '1.3.0', true)], data.requirement));
+      expect(output.text.split('\n')[2]).to.equal(`| \`package.json\` | 1.2.3 | 1.3.0 | ${data.required} | ${data.source} | ${data.requirement.strict ? 'exactly ' : ''}1.3.0 | Pass |`);
+    });
+  });
+
+  [{
+    path: 'packages/a/package.json',
+    step: '- Run `npm version 1.3.0 --no-git-tag-version --workspace=packages/a`'
+  }, {
+    path: 'pom.xml',
+    step: '- Run `mvn versions:set -DnewVersion=1.3.0`'
+  }, {
+    path: 'server/pom.xml',
+    step: '- Run `mvn versions:set -DnewVersion=1.3.0 -f server/pom.xml`'
+  }, {
+    path: 'Cargo.toml',
+    step: '- Set the version in `Cargo.toml` to 1.3.0'
+  }].forEach(data => {
+    it(`Fixes ${data.path}`, () => {
+      const output = report.renderReport(versionCheck([packageResult(data.path, '1.2.3', '1.2.4', '1.3.0', false)]));
+      expect(output.text.split('\n').slice(-1)[0]).to.equal(data.step);
+    });
+  });
+
+  it(`Suggests updating a lockfile that is out of sync`, () => {
+    const output = report.renderReport(versionCheck([packageResult('package.json', '1.2.3', '1.3.0', '1.3.0', true)], {}, [{
+      path: 'package-lock.json',
+      success: false,
+      description: 'package-lock.json version is 1.2.3, but package.json version is 1.3.0'
+    }]));
+    expect(output.text.split('\n').slice(-3)).to.deep.equal([
+      '#### How to fix',
+      '',
+      '- Run `npm install --package-lock-only` to update the lockfile'
+    ]);
+  });
+
+  it(`Leaves out the fix for failures a bump cannot fix`, () => {
+    const result = Object.assign(packageResult('package.json', '1.2.3', '1.3.0', '1.3.0', true), {
+      success: false,
+      description: 'Version 1.3.0 is already published to https://registry.npmjs.org/'
+    });
+    const output = report.renderReport(versionCheck([result]));
+    expect(output.text).to.not.include('How to fix');
+  });
+
+  it(`Names a new package in the title`, () => {
+    const result = packageResult('package.json', undefined, '1.0.0', undefined, true);
+    const output = report.renderReport(versionCheck([Object.assign(result, {
+      description: 'package.json is new, so version 1.0.0 has nothing to compare with'
+    })]));
+    expect(output.title).to.equal('1.0.0 (new)');
+    expect(output.text.split('\n')[2]).to.equal('| `package.json` | - | 1.0.0 | minor | Pull request flag | - | Pass |');
+  });
+
+  it(`Names the number of packages in the title`, () => {
+    const output = report.renderReport(versionCheck([
+      packageResult('packages/a/package.json', '1.0.0', '1.1.0', '1.1.0', true),
+      packageResult('packages/b/package.json', '2.0.0', '2.1.0', '2.1.0', true)
+    ]));
+    expect(output.title).to.equal('2 packages (minor)');
+  });
+
+  it(`Lists only the results without packages`, () => {
+    const output = report.renderReport({
+      success: false,
+      description: 'CHANGELOG.md has no entry for version 1.3.0',
+      results: [{
+        path: 'CHANGELOG.md',
+        success: false,
+        description: 'CHANGELOG.md has no entry for version 1.3.0'
+      }]
+    });
+    expect(output).to.deep.equal({
+      title: 'Failure',
+      text: '- Fail `CHANGELOG.md`: CHANGELOG.md has no entry for version 1.3.0'
+    });
+  });
+
+  it(`Renders a neutral check as a comment`, () => {
+    expect(report.renderComment('Semver', {
+      neutral: true,
+      title: 'No release needed',
+      description: 'No published files changed, so no version bump is needed'
+    }, 'No published files changed, so no version bump is needed', true)).to.equal([
+      '<!-- version-checkr -->',
+      '<details>',
+      '<summary>Semver: No release needed</summary>',
+      '',
+      'No published files changed, so no version bump is needed',
+      '</details>'
+    ].join('\n'));
+  });
+
+  it(`Has no text for a neutral check`, () => {
+    expect(report.renderReport({
+      neutral: true,
+      title: 'No manifest',
+      description: 'No version manifest found'
+    })).to.deep.equal({
+      title: 'No manifest'
+    });
+  });
+});
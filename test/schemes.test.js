@@ -0,0 +1,132 @@
+'use strict';
+
+const expect = require('chai').expect,
+  schemes = require('../lib/schemes');
+
+function expectAscending(scheme, versions) {
+  for (let i = 0; i < versions.length - 1; i++) {
+    expect(scheme.compare(versions[i], versions[i + 1]), `${versions[i]} < ${versions[i + 1]}`).to.equal(-1);
+    expect(scheme.compare(versions[i + 1], versions[i]), `${versions[i + 1]} > ${versions[i]}`).to.equal(1);
+  }
+}
+
+describe('schemes', () => {
+
+  describe('semver', () => {
+
+    it(`Bumps and releases`, () => {
+      expect(schemes.semver.inc('1.2.3', 'minor')).to.equal('1.3.0');
+      expect(schemes.semver.inc('1.2.3', 'prerelease', 'beta')).to.equal('1.2.4-beta.0');
+      expect(schemes.semver.inc('2.0.0-rc.1', 'release')).to.equal('2.0.0');
+      expect(schemes.semver.inc('2.0.0', 'release')).to.be.null;
+      expect(schemes.semver.valid('1.0')).to.be.false;
+    });
+  });
+
+  describe('pep440', () => {
+
+    it(`Orders versions per PEP 440`, () => {
+      expectAscending(schemes.pep440, [
+        '1.0.dev1',
+        '1.0a1',
+        '1.0a2.dev3',
+        '1.0b1',
+        '1.0rc1',
+        '1.0',
+        '1.0.post1.dev1',
+        '1.0.post1',
+        '1.1',
+        '1.10',
+        '1!0.1'
+      ]);
+    });
+
+    it(`Treats equivalent spellings as equal`, () => {
+      expect(schemes.pep440.compare('1.0', '1.0.0')).to.equal(0);
+      expect(schemes.pep440.compare('1.0-1', '1.0.post1')).to.equal(0);
+      expect(schemes.pep440.compare('1.0.0-ALPHA.1', '1.0a1')).to.equal(0);
+      expect(schemes.pep440.compare('v1.0+local.1', '1.0')).to.equal(0);
+    });
+
+    it(`Bumps release segments`, () => {
+      expect(schemes.pep440.inc('1.2', 'patch')).to.equal('1.2.1');
+      expect(schemes.pep440.inc('1.2.3.4', 'minor')).to.equal('1.3.0.0');
+      expect(schemes.pep440.inc('1!1.2.3', 'major')).to.equal('1!2.0.0');
+      expect(schemes.pep440.inc('1.0rc1', 'release')).to.equal('1.0');
+      expect(schemes.pep440.inc('2.0b1', 'major')).to.equal('2.0');
+      expect(schemes.pep440.inc('2.0.1.dev1', 'minor')).to.equal('2.1.0');
+      expect(schemes.pep440.inc('1.0', 'release')).to.be.null;
+      expect(schemes.pep440.inc('1.0', 'major', 'dev')).to.equal('2.0');
+    });
+
+    it(`Bumps pre-releases and dev releases`, () => {
+      expect(schemes.pep440.inc('1.0a1', 'prerelease')).to.equal('1.0a2');
+      expect(schemes.pep440.inc('1.0a1', 'prerelease', 'beta')).to.equal('1.0b0');
+      expect(schemes.pep440.inc('1.0b1', 'prerelease', 'a')).to.equal('1.0.1a0');
+      expect(schemes.pep440.inc('1.0a1.dev2', 'prerelease')).to.equal('1.0a1.dev3');
+      expect(schemes.pep440.inc('1.0', 'prerelease')).to.equal('1.0.1.dev0');
+      expect(schemes.pep440.inc('1.0rc1', 'preminor', 'rc')).to.equal('1.1rc0');
+      expect(schemes.pep440.inc('1.0', 'prerelease', 'snapshot')).to.be.undefined;
+    });
+
+    it(`Knows prereleases and valid versions`, () => {
+      expect(schemes.pep440.prerelease('1.0.dev0')).to.deep.equal(['dev', 0]);
+      expect(schemes.pep440.prerelease('1.0-beta.2')).to.deep.equal(['b', 2]);
+      expect(schemes.pep440.preid('Preview')).to.equal('rc');
+      expect(schemes.pep440.prerelease('1.0.post1')).to.be.null;
+      expect(schemes.pep440.valid('1.0b2')).to.be.true;
+      expect(schemes.pep440.valid('1.0-banana')).to.be.false;
+    });
+  });
+
+  describe('maven', () => {
+
+    it(`Orders versions like Maven`, () => {
+      expectAscending(schemes.maven, [
+        '1.0-alpha-1',
+        '1.0-beta1',
+        '1.0-M1',
+        '1.0-RC1',
+        '1.0-SNAPSHOT',
+        '1.0',
+        '1.0-sp1',
+        '1.0-whatever',
+        '1.0.1',
+        '1.1',
+        '1.10'
+      ]);
+    });
+
+    it(`Treats equivalent spellings as equal`, () => {
+      expect(schemes.maven.compare('1.0', '1.0.0')).to.equal(0);
+      expect(schemes.maven.compare('1-ga', '1.0')).to.equal(0);
+      expect(schemes.maven.compare('1.0-final', '1.0')).to.equal(0);
+      expect(schemes.maven.compare('1.0-cr1', '1.0-rc1')).to.equal(0);
+    });
+
+    it(`Bumps and releases`, () => {
+      expect(schemes.maven.inc('1.2-SNAPSHOT', 'patch')).to.equal('1.2.0');
+      expect(schemes.maven.inc('1.2.1-SNAPSHOT', 'minor')).to.equal('1.3.0');
+      expect(schemes.maven.inc('1.2.3', 'major')).to.equal('2.0.0');
+      expect(schemes.maven.inc('1.2.0-SNAPSHOT', 'release')).to.equal('1.2.0');
+      expect(schemes.maven.inc('1.2.0', 'release')).to.be.null;
+      expect(schemes.maven.inc('1.2.0', 'premajor')).to.equal('2.0.0-alpha');
+    });
+
+    it(`Bumps snapshots and other prereleases`, () => {
+      expect(schemes.maven.inc('1.0.1-SNAPSHOT', 'prerelease')).to.equal('1.0.2-SNAPSHOT');
+      expect(schemes.maven.inc('1.0-RC1', 'prerelease')).to.equal('1.0-RC2');
+      expect(schemes.maven.inc('1.0-alpha-1', 'prerelease', 'beta')).to.equal('1.0-beta');
+      expect(schemes.maven.inc('1.0.1', 'prerelease', 'SNAPSHOT')).to.equal('1.0.2-SNAPSHOT');
+      expect(schemes.maven.inc('1.0-SNAPSHOT', 'preminor')).to.equal('1.1-SNAPSHOT');
+    });
+
+    it(`Knows prereleases and valid versions`, () => {
+      expect(schemes.maven.prerelease('1.0-RC2')).to.deep.equal(['rc']);
+      expect(schemes.maven.preid('CR')).to.equal('rc');
+      expect(schemes.maven.prerelease('1.0-sp1')).to.be.null;
+      expect(schemes.maven.valid('1.0.0-SNAPSHOT')).to.be.true;
+      expect(schemes.maven.valid('SNAPSHOT')).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,232 @@
+'use strict';
+
+const http = require('http'),
+  stream = require('stream'),
+  proxyquire = require('proxyquire'),
+  expect = require('chai').expect,
+  sinon = require('sinon');
+
+function request(server, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method,
+      path,
+      headers: {
+        'X-GitHub-Event': 'pull_request'
+      }
+    }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: data
+      }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('server', () => {
+
+  beforeEach(function () {
+    this.handleWebhook = sinon.stub().resolves({
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/plain'
+      },
+      body: 'Version 1.0.1 will replace 1.0.0'
+    });
+    this.createWebhookHandler = sinon.stub().returns(this.handleWebhook);
+    this.server = proxyquire('../lib/server', {
+      './webhook': {
+        createWebhookHandler: this.createWebhookHandler
+      }
+    });
+    this.options = {
+      appId: '1',
+      webhookSecret: 'password',
+      privateKey: 'pem',
+      log: {
+        error: sinon.spy()
+      }
+    };
+  });
+
+  describe('createServer', () => {
+
+    beforeEach(function (done) {
+      this.httpServer = this.server.createServer(this.options).listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(function (done) {
+      this.httpServer.close(done);
+    });
+
+    it(`Passes the raw body and headers to the webhook handler`, async function () {
+      const res = await request(this.httpServer, 'POST', '/webhooks', '{"action": "opened"}');
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers['content-type']).to.equal('text/plain');
+      expect(res.body).to.equal('Version 1.0.1 will replace 1.0.0');
+      sinon.assert.calledWith(this.createWebhookHandler, this.options);
+      const webhookRequest = this.handleWebhook.getCall(0).args[0];
+      expect(webhookRequest.headers['x-github-event']).to.equal('pull_request');
+      expect(webhookRequest.body.toString()).to.equal('{"action": "opened"}');
+    });
+
+    it(`Answers health checks`, async function () {
+      const res = await request(this.httpServer, 'GET', '/healthz');
+      expect(res.statusCode).to.equal(200);
+      expect(res.body).to.equal('OK');
+      sinon.assert.notCalled(this.handleWebhook);
+    });
+
+    it(`Only accepts POST for webhooks`, async function () {
+      const res = await request(this.httpServer, 'GET', '/');
+      expect(res.statusCode).to.equal(405);
+      expect(res.headers.allow).to.equal('POST');
+    });
+
+    it(`Responds 413 to a body over the limit`, async function () {
+      const httpServer = this.server.createServer(Object.assign({
+        maxBodySize: 10
+      }, this.options)).listen(0, '127.0.0.1');
+      await new Promise(resolve => httpServer.once('listening', resolve));
+      let res;
+      try {
+        res = await request(httpServer, 'POST', '/', '{"action": "opened"}');
+      } finally {
+        await new Promise(resolve => httpServer.close(resolve));
+      }
+      expect(res.statusCode).to.equal(413);
+      expect(res.body).to.equal('Payload Too Large');
+      sinon.assert.notCalled(this.handleWebhook);
+    });
+
+    it(`Responds 500 when the webhook fails`, async function () {
+      this.handleWebhook.rejects(new Error('Server Error'));
+      const res = await request(this.httpServer, 'POST', '/', '{}');
+      expect(res.statusCode).to.equal(500);
+      expect(res.body).to.equal('Internal Server Error');
+      sinon.assert.calledWith(this.options.log.error, 'Request failed', {
+        error: 'Server Error'
+      });
+    });
+  });
+
+  describe('middleware', () => {
+
+    function createResponse() {
+      return {
+        writeHead: sinon.spy(),
+        end: sinon.spy()
+      };
+    }
+
+    it(`Reads the body from the request stream`, async function () {
+      const req = new stream.PassThrough();
+      req.headers = {};
+      req.end('{}');
+      const res = createResponse();
+      await new Promise(resolve => {
+        res.end = sinon.spy(resolve);
+        this.server.middleware(this.options)(req, res, resolve);
+      });
+      sinon.assert.calledWith(res.writeHead, 200, {
+        'Content-Type': 'text/plain'
+      });
+      sinon.assert.calledWith(res.end, 'Version 1.0.1 will replace 1.0.0');
+      expect(this.handleWebhook.getCall(0).args[0].body.toString()).to.equal('{}');
+    });
+
+    it(`Stops reading a streamed body over the limit`, async function () {
+      const req = new stream.PassThrough();
+      req.headers = {};
+      req.write('{"action":');
+      req.write(' "opened"}');
+      const res = createResponse();
+      await new Promise(resolve => {
+        res.end = sinon.spy(resolve);
+        this.server.middleware(Object.assign({
+          maxBodySize: 15
+        }, this.options))(req, res, resolve);
+      });
+      sinon.assert.calledWith(res.writeHead, 413, sinon.match.has('Connection', 'close'));
+      expect(req.isPaused()).to.equal(true);
+      sinon.assert.notCalled(this.handleWebhook);
+    });
+
+    it(`Uses a raw body left by a body parser`, async function () {
+      const req = {
+        headers: {},
+        body: Buffer.from('{"raw": true}')
+      };
+      const res = createResponse();
+      await new Promise(resolve => {
+        res.end = sinon.spy(resolve);
+        this.server.middleware(this.options)(req, res, resolve);
+      });
+      expect(this.handleWebhook.getCall(0).args[0].body.toString()).to.equal('{"raw": true}');
+    });
+
+    it(`Passes an already parsed body to next as an error`, async function () {
+      const next = await new Promise(resolve => this.server.middleware(this.options)({
+        headers: {},
+        body: {
+          parsed: true
+        }
+      }, createResponse(), resolve));
+      expect(next.message).to.equal('The request body was already parsed, mount version-checkr before any JSON body parser');
+      sinon.assert.notCalled(this.handleWebhook);
+    });
+  });
+
+  describe('koaMiddleware', () => {
+
+    it(`Sets the Koa response`, async function () {
+      const ctx = {
+        headers: {
+          'x-github-event': 'pull_request'
+        },
+        req: {},
+        request: {
+          rawBody: '{}'
+        },
+        set: sinon.spy()
+      };
+      await this.server.koaMiddleware(this.options)(ctx);
+      expect(ctx.status).to.equal(200);
+      expect(ctx.body).to.equal('Version 1.0.1 will replace 1.0.0');
+      sinon.assert.calledWith(ctx.set, {
+        'Content-Type': 'text/plain'
+      });
+      sinon.assert.calledWith(this.handleWebhook, {
+        headers: {
+          'x-github-event': 'pull_request'
+        },
+        body: '{}'
+      });
+    });
+
+    it(`Responds 413 to a raw body over the limit`, async function () {
+      const ctx = {
+        headers: {},
+        req: {},
+        request: {
+          rawBody: '{"action": "opened"}'
+        },
+        set: sinon.spy()
+      };
+      await this.server.koaMiddleware(Object.assign({
+        maxBodySize: 10
+      }, this.options))(ctx);
+      expect(ctx.status).to.equal(413);
+      expect(ctx.body).to.equal('Payload Too Large');
+      sinon.assert.notCalled(this.handleWebhook);
+    });
+  });
+});
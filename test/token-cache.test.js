@@ -0,0 +1,214 @@
+'use strict';
+
+const fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  proxyquire = require('proxyquire'),
+  expect = require('chai').expect,
+  sinon = require('sinon');
+
+const HOUR = 3600000;
+
+function awsRequest(result) {
+  return sinon.stub().returns({
+    promise: () => Promise.resolve(result)
+  });
+}
+
+describe('token-cache', () => {
+
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers({
+      now: Date.parse('2018-11-01T12:00:00Z'),
+      toFake: ['Date']
+    });
+    this.dynamoGet = awsRequest({});
+    this.dynamoPut = awsRequest({});
+    const test = this;
+    this.tokenCache = proxyquire('../lib/token-cache', {
+      'aws-sdk': {
+        DynamoDB: {
+          DocumentClient: class {
+            get(params) {
+              return test.dynamoGet(params);
+            }
+            put(params) {
+              return test.dynamoPut(params);
+            }
+          }
+        },
+        '@noCallThru': true
+      }
+    });
+    this.createToken = sinon.stub().resolves({
+      token: 'v1.token',
+      expiresAt: '2018-11-01T13:00:00Z'
+    });
+  });
+
+  afterEach(function () {
+    this.clock.restore();
+  });
+
+  describe('createTokenCache', () => {
+
+    it(`Creates one token per key until it is about to expire`, async function () {
+      const cache = this.tokenCache.createTokenCache();
+      expect(await Promise.all([cache.getToken('1:7', this.createToken), cache.getToken('1:7', this.createToken)]))
+        .to.deep.equal(['v1.token', 'v1.token']);
+      sinon.assert.calledOnce(this.createToken);
+
+      await cache.getToken('1:8', this.createToken);
+      sinon.assert.calledTwice(this.createToken);
+
+      this.clock.tick(HOUR - 301000);
+      await cache.getToken('1:7', this.createToken);
+      sinon.assert.calledTwice(this.createToken);
+      this.clock.tick(1000);
+      await cache.getToken('1:7', this.createToken);
+      sinon.assert.calledThrice(this.createToken);
+    });
+
+    it(`Does not cache failures`, async function () {
+      const cache = this.tokenCache.createTokenCache({
+        refreshBefore: 0
+      });
+      this.createToken.onFirstCall().rejects(new Error('Bad credentials'));
+      let error;
+      try {
+        await cache.getToken('1:7', this.createToken);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Bad credentials');
+      expect(await cache.getToken('1:7', this.createToken)).to.equal('v1.token');
+    });
+
+    it(`Shares tokens through a store`, async function () {
+      const entries = new Map();
+      const store = {
+        get: sinon.spy(key => Promise.resolve(entries.get(key))),
+        set: sinon.spy((key, entry) => Promise.resolve(entries.set(key, entry)))
+      };
+      await this.tokenCache.createTokenCache({
+        store
+      }).getToken('1:7', this.createToken);
+      sinon.assert.calledWith(store.set, '1:7', {
+        token: 'v1.token',
+        expiresAt: Date.parse('2018-11-01T13:00:00Z')
+      });
+
+      expect(await this.tokenCache.createTokenCache({
+        store
+      }).getToken('1:7', this.createToken)).to.equal('v1.token');
+      sinon.assert.calledOnce(this.createToken);
+    });
+
+    it(`Skips a failing store`, async function () {
+      const log = {
+        warn: sinon.spy()
+      };
+      const cache = this.tokenCache.createTokenCache({
+        store: {
+          get: sinon.stub().rejects(new Error('Timeout')),
+          set: sinon.stub().rejects(new Error('Timeout'))
+        },
+        log
+      });
+      expect(await cache.getToken('1:7', this.createToken)).to.equal('v1.token');
+      sinon.assert.calledWith(log.warn, 'Could not read the token cache', {
+        error: 'Timeout'
+      });
+      sinon.assert.calledWith(log.warn, 'Could not write the token cache', {
+        error: 'Timeout'
+      });
+    });
+  });
+
+  describe('stores', () => {
+
+    it(`Keeps tokens in a private file`, async function () {
+      const file = path.join(os.tmpdir(), `versioncheckr-tokens-${process.pid}.json`);
+      const store = this.tokenCache.fileStore(file);
+      try {
+        expect(await store.get('1:7')).to.be.undefined;
+        await store.set('1:6', {
+          token: 'old',
+          expiresAt: Date.now() - 1
+        });
+        await store.set('1:7', {
+          token: 'v1.token',
+          expiresAt: Date.now() + HOUR
+        });
+        expect(await store.get('1:7')).to.deep.equal({
+          token: 'v1.token',
+          expiresAt: Date.now() + HOUR
+        });
+        expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))).to.deep.equal(['1:7']);
+        expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it(`Keeps tokens in DynamoDB with a TTL`, async function () {
+      const store = this.tokenCache.dynamoDbStore('tokens');
+      expect(await store.get('1:7')).to.be.undefined;
+      sinon.assert.calledWith(this.dynamoGet, {
+        TableName: 'tokens',
+        Key: {
+          id: '1:7'
+        }
+      });
+      await store.set('1:7', {
+        token: 'v1.token',
+        expiresAt: 1541077200000
+      });
+      sinon.assert.calledWith(this.dynamoPut, {
+        TableName: 'tokens',
+        Item: {
+          id: '1:7',
+          token: 'v1.token',
+          expiresAt: 1541077200000,
+          ttl: 1541077200
+        }
+      });
+      this.dynamoGet.returns({
+        promise: () => Promise.resolve({
+          Item: this.dynamoPut.getCall(0).args[0].Item
+        })
+      });
+      expect(await store.get('1:7')).to.deep.equal({
+        token: 'v1.token',
+        expiresAt: 1541077200000
+      });
+    });
+
+    it(`Keeps tokens in Redis until they expire`, async function () {
+      const client = {
+        get: sinon.stub().resolves(null),
+        set: sinon.stub().resolves('OK')
+      };
+      const store = this.tokenCache.redisStore(client);
+      expect(await store.get('1:7')).to.be.undefined;
+      await store.set('1:7', {
+        token: 'v1.token',
+        expiresAt: Date.now() + HOUR
+      });
+      sinon.assert.calledWith(client.set, 'versioncheckr:token:1:7', client.set.getCall(0).args[1], 'PX', HOUR);
+      client.get.resolves(client.set.getCall(0).args[1]);
+      expect((await store.get('1:7')).token).to.equal('v1.token');
+    });
+
+    it(`Picks the store from the environment`, function () {
+      expect(this.tokenCache.storeFromEnv({})).to.be.null;
+      expect(this.tokenCache.storeFromEnv({
+        TOKEN_CACHE_TABLE: 'tokens',
+        TOKEN_CACHE_FILE: '/tmp/tokens.json'
+      })).to.have.all.keys('get', 'set');
+      expect(this.tokenCache.storeFromEnv({
+        TOKEN_CACHE_FILE: '/tmp/tokens.json'
+      })).to.have.all.keys('get', 'set');
+    });
+  });
+});
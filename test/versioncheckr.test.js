@@ -1,18 +1,27 @@
 'use strict';
 
 const crypto = require('crypto'),
+  http = require('http'),
   proxyquire = require('proxyquire'),
   expect = require('chai').expect,
   sinon = require('sinon');
 
-function createHash(secret, body) {
-  const hmac = crypto.createHmac('sha1', secret);
+function createHash(secret, body, algorithm = 'sha256') {
+  const hmac = crypto.createHmac(algorithm, secret);
   hmac.setEncoding('hex');
   hmac.write(body);
   hmac.end();
   return hmac.read();
 }
 
+//the tips of the base branches the tests use
+const BASE_SHA = 'ba5e0123456789';
+const RELEASE_SHA = 'e1ea5e0123456789';
+
+function compared(summary) {
+  return `${summary}\n\nCompared with baseRef at ${BASE_SHA.substring(0, 7)}`;
+}
+
 function makeEvent(action, eventType, commentBody = "", pullRequestIncluded = true) {
 
   const body = {
@@ -55,25 +64,49 @@ function makeEvent(action, eventType, commentBody = "", pullRequestIncluded = tr
     }
   }
 
-  const bodyString = JSON.stringify(body);
-  const hash = createHash(process.env.WEBHOOK_SECRET, bodyString);
-  return {
-    body: bodyString,
+  return signEvent({
+    body: JSON.stringify(body),
     headers: {
-      "X-GitHub-Event": eventType,
-      "X-Hub-Signature": `sha1=${hash}`,
+      "X-GitHub-Event": eventType
     }
-  };
+  });
 }
 
-function setVersion(getContentStub, oldVersion, newVersion) {
-  const createContent = (version) => ({
+function signEvent(event, secret = process.env.WEBHOOK_SECRET) {
+  event.headers['X-Hub-Signature-256'] = `sha256=${createHash(secret, event.body)}`;
+  return event;
+}
+
+function createContent(text) {
+  return {
     data: {
-      content: new Buffer(`{"version": "${version}"}`).toString('base64')
+      content: new Buffer(text).toString('base64')
     }
-  });
-  getContentStub.withArgs(sinon.match.has("ref", "baseRef")).resolves(createContent(oldVersion));
-  getContentStub.withArgs(sinon.match.has("ref", "headSha")).resolves(createContent(newVersion));
+  };
+}
+
+function notFound() {
+  const error = new Error('Not Found');
+  error.code = 404;
+  return error;
+}
+
+function setFile(getContentStub, ref, path, text) {
+  getContentStub.withArgs(sinon.match({
+    ref,
+    path
+  })).resolves(createContent(text));
+}
+
+function setVersion(getContentStub, oldVersion, newVersion) {
+  setFile(getContentStub, BASE_SHA, "package.json", `{"version": "${oldVersion}"}`);
+  setFile(getContentStub, "headSha", "package.json", `{"version": "${newVersion}"}`);
+}
+
+function setWorkspaceVersion(getContentStub, path, oldVersion, newVersion) {
+  const createManifest = (version) => `{\n  "name": "${path}",\n  "version": "${version}"\n}`;
+  setFile(getContentStub, BASE_SHA, path, createManifest(oldVersion));
+  setFile(getContentStub, "headSha", path, createManifest(newVersion));
 }
 
 function validateCallback(callback, statusCode, body) {
@@ -95,15 +128,21 @@ function validateCallback(callback, statusCode, body) {
 
 beforeEach(function () {
   process.env.WEBHOOK_SECRET = 'password';
+  process.env.LOG_LEVEL = 'silent';
+  delete process.env.METRICS;
   this.callback = sinon.spy();
 
   const authenticate = sinon.stub();
   this.authenticate = authenticate;
-  const getContent = sinon.stub();
+  const getContent = sinon.stub().rejects(notFound());
   this.getContent = getContent;
   setVersion(this.getContent, "1.0.0", "1.0.0");
   const createCheck = sinon.stub().callsFake(status => ({
     data: {
+      id: 7,
+      app: {
+        slug: 'version-checkr'
+      },
       output: {
         summary: status.output.summary
       }
@@ -116,47 +155,162 @@ beforeEach(function () {
     }
   }));
   this.getPullRequest = getPullRequest;
+  const getFiles = sinon.stub().resolves({
+    data: []
+  });
+  this.getFiles = getFiles;
+  const getCommits = sinon.stub().resolves({
+    data: []
+  });
+  this.getCommits = getCommits;
+  const getAllPullRequests = sinon.stub().resolves({
+    data: []
+  });
+  this.getAllPullRequests = getAllPullRequests;
+  const getComments = sinon.stub().resolves({
+    data: []
+  });
+  this.getComments = getComments;
+  const comments = {
+    createComment: sinon.stub().resolves({}),
+    editComment: sinon.stub().resolves({}),
+    deleteComment: sinon.stub().resolves({})
+  };
+  this.comments = comments;
+  const updateCheck = sinon.stub().resolves({});
+  this.updateCheck = updateCheck;
+  const listCheckRuns = sinon.stub().resolves({
+    data: {
+      check_runs: []
+    }
+  });
+  this.listCheckRuns = listCheckRuns;
+  const createRelease = sinon.stub().resolves({});
+  this.createRelease = createRelease;
+  const getBranch = sinon.stub().callsFake(params => ({
+    data: {
+      protected: false,
+      commit: {
+        sha: params.branch === 'release' ? RELEASE_SHA : BASE_SHA
+      }
+    }
+  }));
+  this.getBranch = getBranch;
+  const compareCommits = sinon.stub().resolves({
+    data: {
+      merge_base_commit: {
+        sha: 'fork0123456789'
+      }
+    }
+  });
+  this.compareCommits = compareCommits;
+  const gitdata = {
+    getCommit: sinon.stub().resolves({
+      data: {
+        tree: {
+          sha: 'headTree'
+        }
+      }
+    }),
+    createTree: sinon.stub().resolves({
+      data: {
+        sha: 'fixTree'
+      }
+    }),
+    createCommit: sinon.stub().resolves({
+      data: {
+        sha: 'fixSha0123456789'
+      }
+    }),
+    updateReference: sinon.stub().resolves({}),
+    getReference: sinon.stub().rejects(notFound()),
+    createReference: sinon.stub().resolves({}),
+    getTree: sinon.stub().resolves({
+      data: {
+        tree: [],
+        truncated: false
+      }
+    })
+  };
+  this.gitdata = gitdata;
+  const createInstallationToken = sinon.stub().resolves({
+    data: {
+      token: "1",
+      expires_at: new Date(Date.now() + 3600000).toISOString()
+    }
+  });
+  this.createInstallationToken = createInstallationToken;
+  const hook = {
+    before: sinon.stub(),
+    after: sinon.stub(),
+    error: sinon.stub()
+  };
+  this.hook = hook;
   class OctokitRestStub {
     constructor() {
+      this.hook = hook;
       this.apps = {
-        createInstallationToken: () => ({
-          data: {
-            token: "1"
-          }
-        })
+        createInstallationToken
       };
       this.checks = {
-        create: createCheck
+        create: createCheck,
+        update: updateCheck,
+        listForRef: listCheckRuns
       }
       this.repos = {
-        getContent
+        getContent,
+        getBranch,
+        compareCommits,
+        createRelease
       };
+      this.gitdata = gitdata;
+      this.issues = Object.assign({
+        getComments
+      }, comments);
       this.pullRequests = {
-        get: getPullRequest
+        get: getPullRequest,
+        getFiles,
+        getCommits,
+        getAll: getAllPullRequests
       };
       this.authenticate = authenticate;
     }
   }
 
+  const getObject = sinon.stub().returns({
+    promise: () => Promise.resolve({
+      Body: 'cert'
+    })
+  });
+  this.getObject = getObject;
   class S3 {
-    getObject() {
-      return {
-        promise: () => ({
-          Body: 'cert'
-        })
-      };
+    getObject(params) {
+      return getObject(params);
     }
   }
+  this.sign = sinon.stub();
 
-  this.myLambda = proxyquire('../versioncheckr', {
+  const privateKey = proxyquire('../lib/private-key', {
     'aws-sdk': {
-      S3
-    },
-    '@octokit/rest': OctokitRestStub,
-    'jsonwebtoken': {
-      sign: () => {}
+      S3,
+      '@noCallThru': true
+    }
+  });
+  const tokenCache = proxyquire('../lib/token-cache', {
+    'aws-sdk': {
+      '@noCallThru': true
     }
   });
+  this.myLambda = proxyquire('../versioncheckr', {
+    './lib/webhook': proxyquire('../lib/webhook', {
+      '@octokit/rest': OctokitRestStub,
+      'jsonwebtoken': {
+        sign: this.sign
+      },
+      './private-key': privateKey,
+      './token-cache': tokenCache
+    })
+  });
 });
 
 describe('versioncheckr', () => {
@@ -172,52 +326,63 @@ describe('versioncheckr', () => {
     sinon.assert.notCalled(this.getPullRequest);
   });
 
-  it(`Missing X-Hub-Signature`, async function () {
+  it(`Missing X-Hub-Signature-256`, async function () {
     const gitHubEvent = makeEvent('action', 'event');
-    delete gitHubEvent.headers['X-Hub-Signature'];
+    delete gitHubEvent.headers['X-Hub-Signature-256'];
     await this.myLambda.handler(gitHubEvent, {}, this.callback);
-    validateCallback(this.callback, 400, 'Missing X-Hub-Signature');
+    validateCallback(this.callback, 401, 'Missing X-Hub-Signature-256');
     sinon.assert.notCalled(this.authenticate);
     sinon.assert.notCalled(this.getContent);
     sinon.assert.notCalled(this.createCheck);
     sinon.assert.notCalled(this.getPullRequest);
   });
 
-  it(`Invalid X-Hub-Signature`, async function () {
+  it(`Invalid X-Hub-Signature-256`, async function () {
     const gitHubEvent = makeEvent('action', 'event');
     const body = '{ "foo": "bar" }';
     const differentBody = '{ "bar": "foo" }';
     const hash = createHash('not_the_secret', body);
     gitHubEvent.body = differentBody;
-    gitHubEvent.headers['X-Hub-Signature'] = `sha1=${hash}`;
+    gitHubEvent.headers['X-Hub-Signature-256'] = `sha256=${hash}`;
     await this.myLambda.handler(gitHubEvent, {}, this.callback);
-    validateCallback(this.callback, 400, 'Invalid X-Hub-Signature');
+    validateCallback(this.callback, 401, 'Invalid X-Hub-Signature-256');
     sinon.assert.notCalled(this.authenticate);
     sinon.assert.notCalled(this.getContent);
     sinon.assert.notCalled(this.createCheck);
     sinon.assert.notCalled(this.getPullRequest);
   });
 
-  it(`Invalid secret for X-Hub-Signature`, async function () {
+  it(`Invalid secret for X-Hub-Signature-256`, async function () {
     const gitHubEvent = makeEvent('action', 'event');
     const body = '{ "foo": "bar" }';
     const hash = createHash('not_the_secret', body);
     gitHubEvent.body = body;
-    gitHubEvent.headers['X-Hub-Signature'] = `sha1=${hash}`;
+    gitHubEvent.headers['X-Hub-Signature-256'] = `sha256=${hash}`;
     await this.myLambda.handler(gitHubEvent, {}, this.callback);
-    validateCallback(this.callback, 400, 'Invalid X-Hub-Signature');
+    validateCallback(this.callback, 401, 'Invalid X-Hub-Signature-256');
     sinon.assert.notCalled(this.authenticate);
     sinon.assert.notCalled(this.getContent);
     sinon.assert.notCalled(this.createCheck);
     sinon.assert.notCalled(this.getPullRequest);
   });
 
-  it(`Valid X-Hub-Signature`, async function () {
+  ['sha256=abc', 'sha256=', 'sha1=0123456789012345678901234567890123456789', 'sha256', '',
+    `sha256=${'g'.repeat(64)}`, `sha256=${'0'.repeat(65)}`].forEach(signature => {
+    it(`Malformed X-Hub-Signature-256 "${signature}"`, async function () {
+      const gitHubEvent = makeEvent('action', 'event');
+      gitHubEvent.headers['X-Hub-Signature-256'] = signature;
+      await this.myLambda.handler(gitHubEvent, {}, this.callback);
+      validateCallback(this.callback, 401);
+      sinon.assert.notCalled(this.authenticate);
+    });
+  });
+
+  it(`Valid X-Hub-Signature-256`, async function () {
     const gitHubEvent = makeEvent('action', 'event');
     const body = '{ "foo": "bar" }';
     const hash = createHash(process.env.WEBHOOK_SECRET, body);
     gitHubEvent.body = body;
-    gitHubEvent.headers['X-Hub-Signature'] = `sha1=${hash}`;
+    gitHubEvent.headers['X-Hub-Signature-256'] = `sha256=${hash.toUpperCase()}`;
     await this.myLambda.handler(gitHubEvent, {}, this.callback);
     validateCallback(this.callback, 202);
     sinon.assert.notCalled(this.authenticate);
@@ -226,6 +391,87 @@ describe('versioncheckr', () => {
     sinon.assert.notCalled(this.getPullRequest);
   });
 
+  it(`Body that is not JSON`, async function () {
+    const gitHubEvent = signEvent({
+      body: 'foo=bar',
+      headers: {
+        'X-GitHub-Event': 'pull_request'
+      }
+    });
+    await this.myLambda.handler(gitHubEvent, {}, this.callback);
+    validateCallback(this.callback, 400, 'The request body is not valid JSON');
+  });
+
+  describe('signatures', () => {
+
+    afterEach(() => {
+      delete process.env.ALLOW_SHA1_SIGNATURE;
+      process.env.WEBHOOK_SECRET = 'password';
+    });
+
+    function sha1Event() {
+      const gitHubEvent = makeEvent('synchronize', 'pull_request');
+      delete gitHubEvent.headers['X-Hub-Signature-256'];
+      gitHubEvent.headers['X-Hub-Signature'] = `sha1=${createHash(process.env.WEBHOOK_SECRET, gitHubEvent.body, 'sha1')}`;
+      return gitHubEvent;
+    }
+
+    it(`Rejects X-Hub-Signature by default`, async function () {
+      await this.myLambda.handler(sha1Event(), {}, this.callback);
+      validateCallback(this.callback, 401, 'X-Hub-Signature is not accepted, X-Hub-Signature-256 is required');
+      sinon.assert.notCalled(this.authenticate);
+    });
+
+    it(`Accepts X-Hub-Signature when SHA-1 is allowed`, async function () {
+      process.env.ALLOW_SHA1_SIGNATURE = 'true';
+      await this.myLambda.handler(sha1Event(), {}, this.callback);
+      validateCallback(this.callback, 200);
+    });
+
+    it(`Rejects an invalid X-Hub-Signature when SHA-1 is allowed`, async function () {
+      process.env.ALLOW_SHA1_SIGNATURE = 'true';
+      const gitHubEvent = sha1Event();
+      gitHubEvent.headers['X-Hub-Signature'] = 'sha1=abc';
+      await this.myLambda.handler(gitHubEvent, {}, this.callback);
+      validateCallback(this.callback, 401, 'Invalid X-Hub-Signature');
+    });
+
+    it(`Prefers X-Hub-Signature-256 when both are sent`, async function () {
+      process.env.ALLOW_SHA1_SIGNATURE = 'true';
+      const gitHubEvent = sha1Event();
+      gitHubEvent.headers['X-Hub-Signature-256'] = `sha256=${createHash('not_the_secret', gitHubEvent.body)}`;
+      await this.myLambda.handler(gitHubEvent, {}, this.callback);
+      validateCallback(this.callback, 401, 'Invalid X-Hub-Signature-256');
+    });
+
+    it(`Accepts any of several secrets`, async function () {
+      const event = makeEvent('synchronize', 'pull_request');
+      process.env.WEBHOOK_SECRET = 'new-password, password';
+      await this.myLambda.handler(event, {}, this.callback);
+      validateCallback(this.callback, 200);
+      const callback = sinon.spy();
+      await this.myLambda.handler(signEvent(makeEvent('synchronize', 'pull_request', 'other'), 'new-password'), {}, callback);
+      validateCallback(callback, 200);
+    });
+
+    it(`Responds 500 without a secret`, async function () {
+      const gitHubEvent = makeEvent('synchronize', 'pull_request');
+      delete process.env.WEBHOOK_SECRET;
+      await this.myLambda.handler(gitHubEvent, {}, this.callback);
+      validateCallback(this.callback, 500, 'Internal Server Error');
+      sinon.assert.notCalled(this.authenticate);
+    });
+
+    it(`Handles webhooks once the secret is set`, async function () {
+      const gitHubEvent = makeEvent('synchronize', 'pull_request');
+      delete process.env.WEBHOOK_SECRET;
+      await this.myLambda.handler(gitHubEvent, {}, sinon.spy());
+      process.env.WEBHOOK_SECRET = 'password';
+      await this.myLambda.handler(gitHubEvent, {}, this.callback);
+      validateCallback(this.callback, 200);
+    });
+  });
+
   it(`Authenticate throws error`, async function () {
     this.authenticate.withArgs(sinon.match.has("type", "app")).throws("AuthenticateError");
     await this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, this.callback);
@@ -252,7 +498,7 @@ describe('versioncheckr', () => {
     await this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, this.callback);
     validateCallback(this.callback);
     sinon.assert.calledTwice(this.authenticate);
-    sinon.assert.calledTwice(this.getContent);
+    sinon.assert.callCount(this.getContent, 5);
     sinon.assert.calledOnce(this.createCheck);
     sinon.assert.calledOnce(this.getPullRequest);
   });
@@ -262,7 +508,7 @@ describe('versioncheckr', () => {
     await this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, this.callback);
     validateCallback(this.callback);
     sinon.assert.calledTwice(this.authenticate);
-    sinon.assert.calledTwice(this.getContent);
+    sinon.assert.calledThrice(this.getContent);
     sinon.assert.notCalled(this.createCheck);
     sinon.assert.calledOnce(this.getPullRequest);
   });
@@ -354,7 +600,7 @@ describe('versioncheckr', () => {
       await this.myLambda.handler(makeEvent(data.action, data.event), {}, this.callback);
       validateCallback(this.callback, 200);
       sinon.assert.calledTwice(this.authenticate);
-      sinon.assert.calledTwice(this.getContent);
+      sinon.assert.callCount(this.getContent, 5);
       sinon.assert.calledOnce(this.createCheck);
       if (data.event === 'pull_request') {
         sinon.assert.notCalled(this.getPullRequest);
@@ -367,9 +613,9 @@ describe('versioncheckr', () => {
   it(`Checking the patch version number by default with comment`, async function () {
     setVersion(this.getContent, "1.0.0", "1.0.1");
     await this.myLambda.handler(makeEvent('rerequested', 'check_suite', 'My comment.'), {}, this.callback);
-    validateCallback(this.callback, 200, 'Version 1.0.1 will replace 1.0.0');
+    validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
     sinon.assert.calledTwice(this.authenticate);
-    sinon.assert.calledTwice(this.getContent);
+    sinon.assert.callCount(this.getContent, 5);
     sinon.assert.calledOnce(this.createCheck);
     sinon.assert.calledWith(this.createCheck, sinon.match.has('conclusion', 'success'));
     sinon.assert.calledOnce(this.getPullRequest);
@@ -445,19 +691,22 @@ describe('versioncheckr', () => {
       oldVersion: '1.0.0',
       newVersion: '0.0.0',
       releaseType: 'patch',
-      isVersionHigher: false
+      isVersionHigher: false,
+      isVersionLower: true
     },
     {
       oldVersion: '1.0.1',
       newVersion: '1.0.0',
       releaseType: 'patch',
-      isVersionHigher: false
+      isVersionHigher: false,
+      isVersionLower: true
     },
     {
       oldVersion: '1.1.0',
       newVersion: '1.0.9',
       releaseType: 'patch',
-      isVersionHigher: false
+      isVersionHigher: false,
+      isVersionLower: true
     },
     {
       oldVersion: '0.0.0',
@@ -521,8 +770,11 @@ describe('versioncheckr', () => {
         action: 'rerequested'
       }
     ].forEach((webHook) => {
-      const msg = data.isVersionHigher ?
+      let msg = data.isVersionHigher ?
         `Version ${data.newVersion} will replace ${data.oldVersion}` : `Version ${data.newVersion} requires a ${data.releaseType} version number greater than ${data.oldVersion}`;
+      if (data.isVersionLower) {
+        msg = `Version ${data.newVersion} is lower than ${data.oldVersion} at the base commit`;
+      }
       const testTitle = data.isVersionHigher ? `${msg} (${data.releaseType} test)` : msg;
       it(`event=${webHook.event}, action=${webHook.action}: ${testTitle}`, async function () {
         const commentBody = `#version-checkr:${data.releaseType}`;
@@ -534,9 +786,9 @@ describe('versioncheckr', () => {
         }));
         setVersion(this.getContent, data.oldVersion, data.newVersion);
         await this.myLambda.handler(event, {}, this.callback);
-        validateCallback(this.callback, 200, msg);
+        validateCallback(this.callback, 200, compared(msg));
         sinon.assert.calledTwice(this.authenticate);
-        sinon.assert.calledTwice(this.getContent);
+        sinon.assert.callCount(this.getContent, 5);
         if (webHook.event === 'pull_request') {
           sinon.assert.notCalled(this.getPullRequest);
         } else {
@@ -547,4 +799,2472 @@ describe('versioncheckr', () => {
       });
     });
   });
+
+  describe('lambda', () => {
+
+    afterEach(() => {
+      delete process.env.PRIVATE_KEY;
+      delete process.env.PEM_BUCKET_NAME;
+    });
+
+    beforeEach(() => {
+      process.env.PEM_BUCKET_NAME = 'versioncheckr-cfg';
+    });
+
+    it(`Reads the private key from S3 once`, async function () {
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      await this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, sinon.spy());
+      validateCallback(this.callback, 200);
+      sinon.assert.calledOnce(this.getObject);
+      sinon.assert.calledWith(this.getObject, {
+        Bucket: 'versioncheckr-cfg',
+        Key: 'key.pem'
+      });
+      expect(this.sign.getCall(0).args[1]).to.equal('cert');
+    });
+
+    it(`Reads the private key from PRIVATE_KEY instead of S3`, async function () {
+      process.env.PRIVATE_KEY = 'env-cert';
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200);
+      sinon.assert.notCalled(this.getObject);
+      expect(this.sign.getCall(0).args[1]).to.equal('env-cert');
+    });
+
+    it(`Retries loading the private key`, async function () {
+      this.getObject.onFirstCall().returns({
+        promise: () => Promise.reject(new Error('Service Unavailable'))
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200);
+      sinon.assert.calledTwice(this.getObject);
+    });
+
+    it(`Reuses the installation token`, async function () {
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      await this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, sinon.spy());
+      sinon.assert.calledOnce(this.createInstallationToken);
+      sinon.assert.calledWith(this.createInstallationToken, {
+        installation_id: 1
+      });
+      sinon.assert.calledOnce(this.sign);
+      sinon.assert.calledWith(this.authenticate.lastCall, {
+        type: 'token',
+        token: '1'
+      });
+    });
+
+    it(`Creates a new installation token when it is about to expire`, async function () {
+      this.createInstallationToken.resolves({
+        data: {
+          token: "1",
+          expires_at: new Date(Date.now() + 60000).toISOString()
+        }
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      await this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, sinon.spy());
+      sinon.assert.calledTwice(this.createInstallationToken);
+    });
+
+    it(`Accepts lower-case headers`, async function () {
+      const event = makeEvent('synchronize', 'pull_request');
+      event.headers = {
+        'x-github-event': event.headers['X-GitHub-Event'],
+        'x-hub-signature-256': event.headers['X-Hub-Signature-256']
+      };
+      await this.myLambda.handler(event, {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a patch version number greater than 1.0.0'));
+    });
+  });
+
+  describe('monorepo', () => {
+
+    beforeEach(function () {
+      const rootManifest = '{"private": true, "workspaces": ["packages/*"]}';
+      setFile(this.getContent, BASE_SHA, "package.json", rootManifest);
+      setFile(this.getContent, "headSha", "package.json", rootManifest);
+      setWorkspaceVersion(this.getContent, 'packages/a/package.json', '1.0.0', '1.0.1');
+      setWorkspaceVersion(this.getContent, 'packages/b/package.json', '2.0.0', '2.0.0');
+      setWorkspaceVersion(this.getContent, 'packages/c/package.json', '3.0.0', '3.0.0');
+    });
+
+    it(`Only checks packages with changed files`, async function () {
+      this.getFiles.resolves({
+        data: [{
+          filename: 'packages/a/src/index.js'
+        }, {
+          filename: 'packages/a/package.json'
+        }, {
+          filename: 'README.md'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Versions bumped for 1 changed package'));
+      sinon.assert.calledOnce(this.getFiles);
+      sinon.assert.callCount(this.getContent, 7);
+      sinon.assert.neverCalledWith(this.getContent, sinon.match.has('path', 'packages/b/package.json'));
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'success',
+        output: {
+          title: '1.0.0 → 1.0.1 (patch)',
+          text: [
+            '| Manifest | Base | Head | Required | Required by | Minimum | Result |',
+            '| --- | --- | --- | --- | --- | --- | --- |',
+            '| `packages/a/package.json` | 1.0.0 | 1.0.1 | patch | Default | 1.0.1 | Pass |',
+            '',
+            '- Pass `packages/a/package.json`: Version 1.0.1 will replace 1.0.0'
+          ].join('\n')
+        }
+      }));
+    });
+
+    it(`Sends the annotations in batches of 50`, async function () {
+      const dirs = Array.from({
+        length: 60
+      }, (item, i) => `packages/p${String(i).padStart(2, '0')}`);
+      dirs.forEach(dir => setWorkspaceVersion(this.getContent, `${dir}/package.json`, '1.0.0', '1.0.0'));
+      this.getFiles.resolves({
+        data: dirs.map(dir => ({
+          filename: `${dir}/index.js`
+        }))
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('60 of 60 changed packages need a version bump'));
+      const check = this.createCheck.getCall(0).args[0];
+      expect(check.output.annotations).to.have.lengthOf(50);
+      sinon.assert.calledOnce(this.updateCheck);
+      const update = this.updateCheck.getCall(0).args[0];
+      expect(update).to.include({
+        owner: 'bob',
+        repo: 'myrepo',
+        check_run_id: 7
+      });
+      expect(update.output).to.include({
+        title: check.output.title,
+        summary: check.output.summary,
+        text: check.output.text
+      });
+      expect(update.output.annotations.map(annotation => annotation.path)).to.deep.equal(dirs.slice(50).map(dir => `${dir}/package.json`));
+    });
+
+    it(`Annotates each package that needs a version bump`, async function () {
+      this.getFiles.resolves({
+        data: [{
+          filename: 'packages/c/lib/c.js'
+        }, {
+          filename: 'packages/a/index.js'
+        }, {
+          filename: 'packages/b/index.js'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('2 of 3 changed packages need a version bump'));
+      const output = this.createCheck.getCall(0).args[0].output;
+      expect(this.createCheck.getCall(0).args[0].conclusion).to.equal('failure');
+      expect(output.title).to.equal('3 packages (patch)');
+      expect(output.text.split('\n')).to.deep.equal([
+        '| Manifest | Base | Head | Required | Required by | Minimum | Result |',
+        '| --- | --- | --- | --- | --- | --- | --- |',
+        '| `packages/a/package.json` | 1.0.0 | 1.0.1 | patch | Default | 1.0.1 | Pass |',
+        '| `packages/b/package.json` | 2.0.0 | 2.0.0 | patch | Default | 2.0.1 | Fail |',
+        '| `packages/c/package.json` | 3.0.0 | 3.0.0 | patch | Default | 3.0.1 | Fail |',
+        '',
+        '- Pass `packages/a/package.json`: Version 1.0.1 will replace 1.0.0',
+        '- Fail `packages/b/package.json`: Version 2.0.0 requires a patch version number greater than 2.0.0',
+        '- Fail `packages/c/package.json`: Version 3.0.0 requires a patch version number greater than 3.0.0',
+        '',
+        '#### How to fix',
+        '',
+        '- Run `npm version 2.0.1 --no-git-tag-version --workspace=packages/b`',
+        '- Run `npm version 3.0.1 --no-git-tag-version --workspace=packages/c`',
+        '- Or click **Bump versions** above to commit the fix to this pull request'
+      ]);
+      expect(output.annotations).to.deep.equal([{
+        path: 'packages/b/package.json',
+        start_line: 3,
+        end_line: 3,
+        annotation_level: 'failure',
+        message: 'Version 2.0.0 requires a patch version number greater than 2.0.0'
+      }, {
+        path: 'packages/c/package.json',
+        start_line: 3,
+        end_line: 3,
+        annotation_level: 'failure',
+        message: 'Version 3.0.0 requires a patch version number greater than 3.0.0'
+      }]);
+    });
+
+    it(`Passes a package that is new in the pull request`, async function () {
+      setFile(this.getContent, "headSha", 'packages/d/package.json', '{\n  "name": "d",\n  "version": "0.1.0"\n}');
+      this.getFiles.resolves({
+        data: [{
+          filename: 'packages/a/index.js'
+        }, {
+          filename: 'packages/d/package.json'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Versions bumped for 2 changed packages'));
+      sinon.assert.calledWith(this.getContent, sinon.match({
+        ref: BASE_SHA,
+        path: 'packages/d/package.json'
+      }));
+      sinon.assert.calledWith(this.createCheck, sinon.match.has('conclusion', 'success'));
+    });
+
+    it(`Pages through changed files`, async function () {
+      const firstPage = [];
+      for (let i = 0; i < 100; i++) {
+        firstPage.push({
+          filename: `docs/${i}.md`
+        });
+      }
+      this.getFiles.withArgs(sinon.match.has('page', 1)).resolves({
+        data: firstPage
+      });
+      this.getFiles.withArgs(sinon.match.has('page', 2)).resolves({
+        data: [{
+          filename: 'packages/b/index.js'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('1 of 1 changed package needs a version bump'));
+      sinon.assert.calledTwice(this.getFiles);
+    });
+
+    it(`Passes when no workspace packages changed`, async function () {
+      this.getFiles.resolves({
+        data: [{
+          filename: 'README.md'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('No workspace packages changed'));
+      sinon.assert.callCount(this.getContent, 5);
+      sinon.assert.calledWith(this.createCheck, sinon.match.has('conclusion', 'success'));
+    });
+
+    it(`Reads workspaces from the yarn packages field`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"workspaces": {"packages": ["./packages/*/"]}}');
+      this.getFiles.resolves({
+        data: [{
+          filename: 'packages/a/index.js'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Versions bumped for 1 changed package'));
+    });
+  });
+
+  describe('config', () => {
+
+    it(`Uses the configured default release type and check name`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'releaseType: minor\ncheckName: Semver');
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 requires a minor version number greater than 1.0.0'));
+      sinon.assert.calledWith(this.getContent, sinon.match({
+        ref: 'baseRef',
+        path: '.github/version-checkr.yml'
+      }));
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        name: 'Semver',
+        conclusion: 'failure'
+      }));
+    });
+
+    it(`PR flag overrides the configured release type`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'releaseType: major');
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: patch'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
+    });
+
+    it(`Skips base branches that are not configured`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'branches: [main, release/*]');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'Base branch baseRef is not configured for version checks');
+      sinon.assert.calledOnce(this.getContent);
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'neutral',
+        output: {
+          title: 'Branch not checked'
+        }
+      }));
+    });
+
+    it(`Skips pull requests that only change ignored paths`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'ignore: ["docs/**", "*.md", ".github/**"]');
+      this.getFiles.resolves({
+        data: [{
+          filename: 'README.md'
+        }, {
+          filename: '.github/workflows/ci.yml'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'Only ignored paths changed, so version was not checked');
+      sinon.assert.calledOnce(this.getContent);
+      sinon.assert.calledWith(this.createCheck, sinon.match.has('conclusion', 'neutral'));
+    });
+
+    it(`Checks pull requests that change paths outside the ignored ones`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'ignore: ["*.md"]');
+      this.getFiles.resolves({
+        data: [{
+          filename: 'README.md'
+        }, {
+          filename: 'index.js'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a patch version number greater than 1.0.0'));
+      sinon.assert.calledOnce(this.getFiles);
+    });
+
+    it(`Ignored paths do not count as workspace changes`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'ignore: ["**/*.md"]');
+      setFile(this.getContent, "headSha", "package.json", '{"workspaces": ["packages/*"]}');
+      setWorkspaceVersion(this.getContent, 'packages/a/package.json', '1.0.0', '1.0.0');
+      this.getFiles.resolves({
+        data: [{
+          filename: 'packages/a/README.md'
+        }, {
+          filename: 'packages/b/index.js'
+        }]
+      });
+      setWorkspaceVersion(this.getContent, 'packages/b/package.json', '1.0.0', '1.1.0');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Versions bumped for 1 changed package'));
+      sinon.assert.calledOnce(this.getFiles);
+    });
+
+    it(`Invalid config posts a neutral check`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'releaseType: huge');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'Invalid .github/version-checkr.yml: releaseType must be one of major, minor, patch, release, premajor, preminor, prepatch, prerelease');
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        name: 'Version Checkr',
+        conclusion: 'neutral',
+        output: {
+          title: 'Invalid configuration'
+        }
+      }));
+      sinon.assert.neverCalledWith(this.createCheck, sinon.match.has('output', sinon.match.has('annotations')));
+    });
+  });
+
+  describe('conventional commits', () => {
+
+    function setCommits(getCommits, messages) {
+      getCommits.resolves({
+        data: messages.map((message, i) => ({
+          sha: `${i}abcdef0123456789`,
+          commit: {
+            message
+          }
+        }))
+      });
+    }
+
+    it(`Requires a minor bump for a feat commit`, async function () {
+      setCommits(this.getCommits, ['fix: typo', 'feat(api): add endpoint\n\nDetails', 'chore: lint']);
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 requires a minor version number greater than 1.0.0\n\n' +
+        'A minor version bump is required by commit 1abcdef: feat(api): add endpoint'));
+      sinon.assert.calledWith(this.getCommits, sinon.match({
+        owner: 'bob',
+        repo: 'myrepo',
+        number: 123
+      }));
+      sinon.assert.calledWith(this.createCheck, sinon.match.has('conclusion', 'failure'));
+    });
+
+    [
+      'refactor!: drop node 6',
+      'fix: rename option\n\nBREAKING CHANGE: `foo` is now `bar`'
+    ].forEach((message) => {
+      it(`Requires a major bump for ${JSON.stringify(message)}`, async function () {
+        setCommits(this.getCommits, ['feat: add thing', message]);
+        setVersion(this.getContent, "1.0.0", "2.0.0");
+        await this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, this.callback);
+        validateCallback(this.callback, 200, compared(`Version 2.0.0 will replace 1.0.0\n\nA major version bump is required by commit 1abcdef: ${message.split('\n')[0]}`));
+      });
+    });
+
+    it(`Keeps the default when commits only need a patch`, async function () {
+      setCommits(this.getCommits, ['fix: typo', 'Merge branch main']);
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
+    });
+
+    it(`Does not lower the configured release type`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'releaseType: major');
+      setCommits(this.getCommits, ['feat: add thing']);
+      setVersion(this.getContent, "1.0.0", "1.1.0");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.1.0 requires a major version number greater than 1.0.0'));
+    });
+
+    it(`PR flag wins over commits`, async function () {
+      setCommits(this.getCommits, ['feat!: rewrite']);
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: patch'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
+      sinon.assert.notCalled(this.getCommits);
+    });
+
+    it(`Can be turned off in config`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'conventionalCommits: false');
+      setCommits(this.getCommits, ['feat!: rewrite']);
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
+      sinon.assert.notCalled(this.getCommits);
+    });
+  });
+
+  describe('declarations', () => {
+
+    const DECLARATIONS = [
+      'export declare function parse(text: string): string;',
+      'export declare const version: string;',
+      ''
+    ].join('\n');
+
+    function setDeclarations(getContentStub, oldVersion, newVersion, headDeclarations) {
+      setFile(getContentStub, BASE_SHA, "package.json", `{"version": "${oldVersion}", "types": "index.d.ts"}`);
+      setFile(getContentStub, "headSha", "package.json", `{"version": "${newVersion}", "types": "index.d.ts"}`);
+      setFile(getContentStub, BASE_SHA, "index.d.ts", DECLARATIONS);
+      setFile(getContentStub, "headSha", "index.d.ts", headDeclarations);
+    }
+
+    beforeEach(function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'declarations: true');
+    });
+
+    it(`Requires a major bump for breaking changes and annotates them`, async function () {
+      setDeclarations(this.getContent, "1.0.0", "1.1.0", 'export declare function parse(text: Buffer): string;\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.1.0 requires a major version number greater than 1.0.0\n\n' +
+        'A major version bump is required by breaking changes in index.d.ts: changed export parse, removed export version'));
+      const output = this.createCheck.getCall(0).args[0].output;
+      expect(output.title).to.equal('1.0.0 → 1.1.0 (major)');
+      expect(output.text).to.include('| `package.json` | 1.0.0 | 1.1.0 | major | Breaking changes in `index.d.ts` | 2.0.0 | Fail |');
+      expect(output.annotations.filter(annotation => annotation.path === 'index.d.ts')).to.deep.equal([{
+        path: 'index.d.ts',
+        start_line: 1,
+        end_line: 1,
+        annotation_level: 'failure',
+        message: 'Changed export parse'
+      }, {
+        path: 'index.d.ts',
+        start_line: 1,
+        end_line: 1,
+        annotation_level: 'failure',
+        message: 'Removed export version'
+      }]);
+    });
+
+    it(`Keeps annotating breaking changes after a major bump`, async function () {
+      setDeclarations(this.getContent, "1.0.0", "2.0.0", 'export declare function parse(text: string): string;\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 2.0.0 will replace 1.0.0\n\n' +
+        'A major version bump is required by breaking changes in index.d.ts: removed export version'));
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'success',
+        output: sinon.match({
+          annotations: [{
+            path: 'index.d.ts',
+            start_line: 1,
+            end_line: 1,
+            annotation_level: 'notice',
+            message: 'Removed export version'
+          }]
+        })
+      }));
+    });
+
+    it(`Requires a minor bump for new exports`, async function () {
+      setDeclarations(this.getContent, "1.0.0", "1.0.1", `${DECLARATIONS}export declare function format(): string;\n`);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 requires a minor version number greater than 1.0.0\n\n' +
+        'A minor version bump is required by additions to index.d.ts: added export format'));
+      expect(this.createCheck.getCall(0).args[0].output.annotations).to.deep.equal([{
+        path: 'package.json',
+        start_line: 1,
+        end_line: 1,
+        annotation_level: 'failure',
+        message: 'Version 1.0.1 requires a minor version number greater than 1.0.0'
+      }]);
+    });
+
+    it(`Raises the release type of a PR flag`, async function () {
+      setDeclarations(this.getContent, "1.0.0", "1.0.1", 'export declare function parse(text: string): string;\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: patch'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 requires a major version number greater than 1.0.0\n\n' +
+        'A major version bump is required by breaking changes in index.d.ts: removed export version'));
+    });
+
+    it(`Leaves a mode set in a comment alone`, async function () {
+      this.getComments.resolves({
+        data: [{
+          body: '/version-checkr patch',
+          author_association: 'OWNER',
+          user: {
+            login: 'alice'
+          }
+        }]
+      });
+      setDeclarations(this.getContent, "1.0.0", "1.0.1", 'export declare function parse(text: string): string;\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0\n\nThe patch mode was set by @alice in a comment'));
+    });
+
+    it(`Skips packages without declarations at the head commit`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.1", "types": "dist/index.d.ts"}');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
+      sinon.assert.calledWith(this.getContent, sinon.match({
+        ref: 'headSha',
+        path: 'dist/index.d.ts'
+      }));
+    });
+
+    it(`Is off by default`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", '');
+      setDeclarations(this.getContent, "1.0.0", "1.0.1", '');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
+      sinon.assert.neverCalledWith(this.getContent, sinon.match.has('path', 'index.d.ts'));
+    });
+
+    it(`Checks the declarations of each workspace package`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'declarations: lib/index.d.ts');
+      setFile(this.getContent, "headSha", "package.json", '{"workspaces": ["packages/*"]}');
+      setWorkspaceVersion(this.getContent, 'packages/a/package.json', '1.0.0', '1.0.1');
+      setWorkspaceVersion(this.getContent, 'packages/b/package.json', '1.0.0', '1.0.1');
+      setFile(this.getContent, BASE_SHA, 'packages/a/lib/index.d.ts', DECLARATIONS);
+      setFile(this.getContent, "headSha", 'packages/a/lib/index.d.ts', 'export declare const version: string;\n');
+      this.getFiles.resolves({
+        data: [{
+          filename: 'packages/a/lib/index.d.ts'
+        }, {
+          filename: 'packages/b/index.js'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('1 of 2 changed packages needs a version bump'));
+      const output = this.createCheck.getCall(0).args[0].output;
+      expect(output.text).to.include('| `packages/a/package.json` | 1.0.0 | 1.0.1 | major | Breaking changes in `packages/a/lib/index.d.ts` | 2.0.0 | Fail |');
+      expect(output.text).to.include('| `packages/b/package.json` | 1.0.0 | 1.0.1 | patch | Default | 1.0.1 | Pass |');
+      expect(output.text).to.include('- Fail `packages/a/lib/index.d.ts`: Removed export parse');
+    });
+  });
+
+  describe('published files', () => {
+
+    function setChangedFiles(getFiles, filenames) {
+      getFiles.resolves({
+        data: filenames.map(filename => ({
+          filename
+        }))
+      });
+    }
+
+    function setCommittedFiles(getTree, paths, truncated) {
+      getTree.resolves({
+        data: {
+          tree: paths.map(path => ({
+            path,
+            type: 'blob'
+          })).concat({
+            path: 'lib',
+            type: 'tree'
+          }),
+          truncated: !!truncated
+        }
+      });
+    }
+
+    beforeEach(function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'publishedFiles: true');
+      setCommittedFiles(this.gitdata.getTree, ['package.json', 'lib/index.js', 'packages/a/lib/index.js', 'packages/b/lib/index.js']);
+    });
+
+    it(`Needs no release when no published file changed`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.0", "files": ["lib"]}');
+      setChangedFiles(this.getFiles, ['test/index.test.js', '.github/workflows/ci.yml']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'No published files changed, so no version bump is needed\n\n' +
+        'Changed files: `test/index.test.js`, `.github/workflows/ci.yml`');
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'neutral',
+        output: {
+          title: 'No release needed'
+        }
+      }));
+      sinon.assert.notCalled(this.getCommits);
+    });
+
+    it(`Points out a bump without published changes`, async function () {
+      setFile(this.getContent, BASE_SHA, "package.json", '{"version": "1.0.0", "files": ["lib"]}');
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.1", "files": ["lib"]}');
+      setChangedFiles(this.getFiles, ['package.json', 'test/index.test.js']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'Version 1.0.1 will replace 1.0.0, but no published files changed\n\n' +
+        'Changed files: `package.json`, `test/index.test.js`');
+    });
+
+    it(`Needs no release for README and development changes`, async function () {
+      setFile(this.getContent, BASE_SHA, "package.json", '{"version": "1.0.0", "files": ["lib"], "devDependencies": {"mocha": "^5.0.0"}}');
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.0", "files": ["lib"], "devDependencies": {"mocha": "^6.0.0"}}');
+      setChangedFiles(this.getFiles, ['package.json', 'README.md']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'No published files changed, so no version bump is needed\n\n' +
+        'Changed files: `package.json`, `README.md`');
+    });
+
+    it(`Checks the version when a published field of package.json changed`, async function () {
+      setFile(this.getContent, BASE_SHA, "package.json", '{"version": "1.0.0", "files": ["lib"]}');
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.0", "files": ["lib"], "dependencies": {"semver": "^5.0.0"}}');
+      setChangedFiles(this.getFiles, ['package.json']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a patch version number greater than 1.0.0'));
+    });
+
+    it(`Checks the version when a published file changed`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.0", "files": ["lib"]}');
+      setChangedFiles(this.getFiles, ['test/index.test.js', 'lib/index.js']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a patch version number greater than 1.0.0'));
+    });
+
+    it(`Checks a package whose files are built before it is published`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.0", "files": ["dist"]}');
+      setCommittedFiles(this.gitdata.getTree, ['package.json', 'src/index.ts', 'tsconfig.json']);
+      setChangedFiles(this.getFiles, ['src/index.ts']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a patch version number greater than 1.0.0'));
+      sinon.assert.calledWith(this.gitdata.getTree, {
+        owner: 'bob',
+        repo: 'myrepo',
+        tree_sha: 'headSha',
+        recursive: 1
+      });
+    });
+
+    it(`Checks the package when the committed files cannot all be listed`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.0", "files": ["lib"]}');
+      setCommittedFiles(this.gitdata.getTree, ['lib/index.js'], true);
+      setChangedFiles(this.getFiles, ['test/index.test.js']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a patch version number greater than 1.0.0'));
+    });
+
+    it(`Reads .npmignore without a files field`, async function () {
+      setFile(this.getContent, "headSha", ".npmignore", 'test/\n.github/\n');
+      setChangedFiles(this.getFiles, ['test/index.test.js', '.github/workflows/ci.yml']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'No published files changed, so no version bump is needed\n\n' +
+        'Changed files: `test/index.test.js`, `.github/workflows/ci.yml`');
+      sinon.assert.neverCalledWith(this.getContent, sinon.match.has('path', '.gitignore'));
+    });
+
+    it(`Falls back to .gitignore`, async function () {
+      setFile(this.getContent, "headSha", ".gitignore", 'coverage/\n');
+      setChangedFiles(this.getFiles, ['test/index.test.js']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a patch version number greater than 1.0.0'));
+      sinon.assert.calledWith(this.getContent, sinon.match({
+        ref: 'headSha',
+        path: '.gitignore'
+      }));
+    });
+
+    it(`Uses the configured globs`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'publishedFiles: ["src/**"]');
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.0", "files": ["test"]}');
+      setChangedFiles(this.getFiles, ['test/index.test.js']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'No published files changed, so no version bump is needed\n\nChanged files: `test/index.test.js`');
+    });
+
+    it(`Only checks workspace packages with published changes`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"workspaces": ["packages/*"]}');
+      setFile(this.getContent, BASE_SHA, 'packages/a/package.json', '{"version": "1.0.0", "files": ["lib"]}');
+      setFile(this.getContent, "headSha", 'packages/a/package.json', '{"version": "1.0.1", "files": ["lib"]}');
+      setFile(this.getContent, BASE_SHA, 'packages/b/package.json', '{"version": "1.0.0", "files": ["lib"]}');
+      setFile(this.getContent, "headSha", 'packages/b/package.json', '{"version": "1.0.1", "files": ["lib"]}');
+      setChangedFiles(this.getFiles, ['packages/a/lib/index.js', 'packages/b/test/index.test.js']);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Versions bumped for 1 changed package'));
+      expect(this.createCheck.getCall(0).args[0].output.text).to.include(
+        '- Pass `packages/b/package.json`: Version 1.0.1 will replace 1.0.0, but no published files changed in packages/b');
+    });
+  });
+
+  describe('invalid manifests', () => {
+
+    it(`Fails with the position of a JSON syntax error`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{\n  "version": "1.0.1",\n}');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('package.json is not valid JSON at line 3, column 1'));
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'failure',
+        output: sinon.match({
+          title: 'Failure',
+          annotations: [{
+            path: 'package.json',
+            start_line: 3,
+            end_line: 3,
+            annotation_level: 'failure',
+            message: 'package.json is not valid JSON at line 3, column 1'
+          }]
+        })
+      }));
+      sinon.assert.neverCalledWith(this.createCheck, sinon.match.has('actions'));
+    });
+
+    [{
+      manifest: '{"name": "a"}',
+      description: 'package.json has no version'
+    }, {
+      manifest: '{"version": "1.0"}',
+      description: 'Version 1.0 in package.json is not a valid semver version'
+    }, {
+      manifest: '{"version": 2}',
+      description: 'Version 2 in package.json is not a valid semver version'
+    }].forEach(data => {
+      it(`Fails for ${data.manifest}`, async function () {
+        setFile(this.getContent, "headSha", "package.json", data.manifest);
+        await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+        validateCallback(this.callback, 200, compared(data.description));
+        sinon.assert.calledWith(this.createCheck, sinon.match.has('conclusion', 'failure'));
+      });
+    });
+
+    it(`Passes a new package`, async function () {
+      this.getContent.withArgs(sinon.match({
+        ref: BASE_SHA,
+        path: 'package.json'
+      })).rejects(notFound());
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('package.json is new, so version 1.0.0 has nothing to compare with'));
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'success',
+        output: sinon.match.has('title', '1.0.0 (new)')
+      }));
+    });
+
+    it(`Is neutral when the base manifest cannot be read`, async function () {
+      setFile(this.getContent, BASE_SHA, "package.json", '{"version": "latest"}');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'At the base commit, Version latest in package.json is not a valid semver version, so version 1.0.0 was not compared');
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'neutral',
+        output: {
+          title: 'Version not compared'
+        }
+      }));
+    });
+
+    it(`Reports added, removed and broken workspace packages`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"workspaces": ["packages/*"]}');
+      setFile(this.getContent, "headSha", 'packages/a/package.json', '{"version": "1.0.0"}');
+      setFile(this.getContent, BASE_SHA, 'packages/b/package.json', '{"version": "1.0.0"}');
+      setFile(this.getContent, BASE_SHA, 'packages/c/package.json', '{"version": "1.0.0"}');
+      setFile(this.getContent, "headSha", 'packages/c/package.json', '{"version": "1.0.1"');
+      this.getFiles.resolves({
+        data: ['packages/a/index.js', 'packages/b/index.js', 'packages/c/index.js'].map(filename => ({
+          filename
+        }))
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('1 of 3 changed packages needs a version bump'));
+      expect(this.createCheck.getCall(0).args[0].output.text.split('\n').filter(line => line.startsWith('- '))).to.deep.equal([
+        '- Pass `packages/a/package.json`: packages/a/package.json is new, so version 1.0.0 has nothing to compare with',
+        '- Pass `packages/b/package.json`: packages/b/package.json was removed, so there is no version to check',
+        '- Fail `packages/c/package.json`: packages/c/package.json is not valid JSON at line 1, column 20'
+      ]);
+    });
+  });
+
+  describe('sticky comment', () => {
+
+    const MARKER = '<!-- version-checkr -->';
+    const FAILURE = [
+      MARKER,
+      '**Version Checkr failed**: 1.0.0 → 1.0.0 (patch)',
+      '',
+      'Version 1.0.0 requires a patch version number greater than 1.0.0',
+      '',
+      'Compared with baseRef at ba5e012',
+      '',
+      '| Manifest | Base | Head | Required | Required by | Minimum | Result |',
+      '| --- | --- | --- | --- | --- | --- | --- |',
+      '| `package.json` | 1.0.0 | 1.0.0 | patch | Default | 1.0.1 | Fail |',
+      '',
+      '- Fail `package.json`: Version 1.0.0 requires a patch version number greater than 1.0.0',
+      '',
+      '#### How to fix',
+      '',
+      '- Run `npm version 1.0.1 --no-git-tag-version`'
+    ].join('\n');
+
+    function setComments(getComments, bodies, user) {
+      getComments.resolves({
+        data: bodies.map((body, i) => ({
+          id: i + 1,
+          body,
+          author_association: 'NONE',
+          user: user || (body.startsWith(MARKER) ? {
+            login: 'version-checkr[bot]',
+            type: 'Bot'
+          } : {
+            login: 'someone',
+            type: 'User'
+          })
+        }))
+      });
+    }
+
+    beforeEach(function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'comment: true');
+    });
+
+    it(`Posts a comment when the check fails`, async function () {
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200);
+      sinon.assert.calledOnce(this.comments.createComment);
+      sinon.assert.calledWith(this.comments.createComment, {
+        owner: 'bob',
+        repo: 'myrepo',
+        number: 123,
+        body: FAILURE
+      });
+    });
+
+    it(`Updates its comment in place`, async function () {
+      setComments(this.getComments, ['LGTM', `${MARKER}\n**Version Checkr failed**: old`]);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      sinon.assert.notCalled(this.comments.createComment);
+      sinon.assert.calledWith(this.comments.editComment, {
+        owner: 'bob',
+        repo: 'myrepo',
+        comment_id: 2,
+        body: FAILURE
+      });
+    });
+
+    [{
+      login: 'mallory',
+      type: 'User'
+    }, {
+      login: 'other-app[bot]',
+      type: 'Bot'
+    }].forEach(user => {
+      it(`Leaves a comment with the marker by ${user.login} alone`, async function () {
+        setVersion(this.getContent, "1.0.0", "1.0.1");
+        setComments(this.getComments, [FAILURE], user);
+        await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+        sinon.assert.notCalled(this.comments.deleteComment);
+        setVersion(this.getContent, "1.0.0", "1.0.0");
+        await this.myLambda.handler(makeEvent('synchronize', 'pull_request', 'other'), {}, sinon.spy());
+        sinon.assert.notCalled(this.comments.editComment);
+        sinon.assert.calledOnce(this.comments.createComment);
+      });
+    });
+
+    it(`Leaves an unchanged comment alone`, async function () {
+      setComments(this.getComments, [FAILURE]);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      sinon.assert.notCalled(this.comments.createComment);
+      sinon.assert.notCalled(this.comments.editComment);
+    });
+
+    it(`Deletes its comment once the check passes`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setComments(this.getComments, [FAILURE]);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      sinon.assert.calledWith(this.comments.deleteComment, {
+        owner: 'bob',
+        repo: 'myrepo',
+        comment_id: 1
+      });
+      sinon.assert.notCalled(this.comments.editComment);
+    });
+
+    it(`Does not comment on a passing check`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      sinon.assert.notCalled(this.comments.createComment);
+      sinon.assert.notCalled(this.comments.deleteComment);
+    });
+
+    it(`Collapses its comment once the check passes`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'comment: collapse');
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setComments(this.getComments, [FAILURE]);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      sinon.assert.notCalled(this.comments.deleteComment);
+      sinon.assert.calledWith(this.comments.editComment, sinon.match({
+        comment_id: 1,
+        body: [
+          MARKER,
+          '<details>',
+          '<summary>Version Checkr passed: 1.0.0 → 1.0.1 (patch)</summary>',
+          '',
+          'Version 1.0.1 will replace 1.0.0',
+          '',
+          'Compared with baseRef at ba5e012',
+          '',
+          '| Manifest | Base | Head | Required | Required by | Minimum | Result |',
+          '| --- | --- | --- | --- | --- | --- | --- |',
+          '| `package.json` | 1.0.0 | 1.0.1 | patch | Default | 1.0.1 | Pass |',
+          '',
+          '- Pass `package.json`: Version 1.0.1 will replace 1.0.0',
+          '</details>'
+        ].join('\n')
+      }));
+    });
+
+    it(`Is off by default`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", '');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      sinon.assert.notCalled(this.comments.createComment);
+    });
+  });
+
+  describe('release drafts', () => {
+
+    function makeMergeEvent(body = 'Adds parse\n\n#version-checkr: minor') {
+      const event = JSON.parse(makeEvent('closed', 'pull_request', body).body);
+      Object.assign(event.pull_request, {
+        merged: true,
+        merge_commit_sha: 'merge0123456789',
+        title: 'Add parse'
+      });
+      return signEvent({
+        body: JSON.stringify(event),
+        headers: {
+          "X-GitHub-Event": 'pull_request'
+        }
+      });
+    }
+
+    beforeEach(function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'release: true');
+      setVersion(this.getContent, "1.0.0", "1.1.0");
+      this.listCheckRuns.resolves({
+        data: {
+          check_runs: [{
+            conclusion: 'success'
+          }]
+        }
+      });
+    });
+
+    it(`Tags the merge commit and drafts a release`, async function () {
+      await this.myLambda.handler(makeMergeEvent(), {}, this.callback);
+      validateCallback(this.callback, 200, 'Tagged merge01 as v1.1.0 and drafted its release');
+      sinon.assert.calledWith(this.listCheckRuns, {
+        owner: 'bob',
+        repo: 'myrepo',
+        ref: 'headSha',
+        check_name: 'Version Checkr',
+        filter: 'latest'
+      });
+      sinon.assert.calledWith(this.gitdata.createReference, {
+        owner: 'bob',
+        repo: 'myrepo',
+        ref: 'refs/tags/v1.1.0',
+        sha: 'merge0123456789'
+      });
+      sinon.assert.calledWith(this.createRelease, {
+        owner: 'bob',
+        repo: 'myrepo',
+        tag_name: 'v1.1.0',
+        target_commitish: 'merge0123456789',
+        name: 'v1.1.0',
+        body: 'Add parse (#123)\n\nAdds parse',
+        draft: true,
+        prerelease: false
+      });
+      sinon.assert.notCalled(this.createCheck);
+    });
+
+    it(`Takes the release notes from the changelog`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'release: true\nchangelog: true');
+      setFile(this.getContent, "merge0123456789", "CHANGELOG.md", '# Changelog\n\n## 1.1.0\n\n- Add parse\n\n## 1.0.0\n\n- First\n');
+      await this.myLambda.handler(makeMergeEvent(), {}, this.callback);
+      sinon.assert.calledWith(this.createRelease, sinon.match({
+        body: '- Add parse'
+      }));
+    });
+
+    it(`Marks prereleases`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.1.0-beta.0");
+      await this.myLambda.handler(makeMergeEvent(''), {}, this.callback);
+      sinon.assert.calledWith(this.createRelease, sinon.match({
+        tag_name: 'v1.1.0-beta.0',
+        body: 'Add parse (#123)',
+        prerelease: true
+      }));
+    });
+
+    it(`Leaves an existing tag alone`, async function () {
+      this.gitdata.getReference.resolves({
+        data: {
+          ref: 'refs/tags/v1.1.0'
+        }
+      });
+      await this.myLambda.handler(makeMergeEvent(), {}, this.callback);
+      validateCallback(this.callback, 202, 'Tag v1.1.0 already exists');
+      sinon.assert.notCalled(this.gitdata.createReference);
+      sinon.assert.notCalled(this.createRelease);
+    });
+
+    it(`Creates a tag that only shares a prefix with others`, async function () {
+      this.gitdata.getReference.resolves({
+        data: [{
+          ref: 'refs/tags/v1.1.0-beta.0'
+        }]
+      });
+      await this.myLambda.handler(makeMergeEvent(), {}, this.callback);
+      validateCallback(this.callback, 200);
+      sinon.assert.calledOnce(this.createRelease);
+    });
+
+    it(`Skips pull requests that did not pass`, async function () {
+      this.listCheckRuns.resolves({
+        data: {
+          check_runs: [{
+            conclusion: 'failure'
+          }]
+        }
+      });
+      await this.myLambda.handler(makeMergeEvent(), {}, this.callback);
+      validateCallback(this.callback, 202, 'Version Checkr did not pass for headSha, so no release was drafted');
+      sinon.assert.notCalled(this.gitdata.createReference);
+    });
+
+    it(`Is off by default`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", '');
+      await this.myLambda.handler(makeMergeEvent(), {}, this.callback);
+      validateCallback(this.callback, 202, 'Releases are not drafted for this repository');
+      sinon.assert.notCalled(this.listCheckRuns);
+    });
+
+    it(`Ignores pull requests closed without merging`, async function () {
+      await this.myLambda.handler(makeEvent('closed', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 202, 'No action to take');
+    });
+  });
+
+  describe('logging and metrics', () => {
+
+    //the JSON lines written to stdout while fn runs
+    async function captureLines(fn) {
+      const write = sinon.stub(process.stdout, 'write');
+      try {
+        await fn();
+      } finally {
+        write.restore();
+      }
+      return write.args.map(args => JSON.parse(args[0]));
+    }
+
+    function withDelivery(event) {
+      event.headers['X-GitHub-Delivery'] = 'delivery-1';
+      return event;
+    }
+
+    beforeEach(function () {
+      process.env.LOG_LEVEL = 'info';
+      process.env.METRICS = 'emf';
+    });
+
+    it(`Logs the decision with the delivery, repository and pull request`, async function () {
+      const lines = await captureLines(() => this.myLambda.handler(withDelivery(makeEvent('rerequested', 'check_suite')), {}, this.callback));
+      validateCallback(this.callback, 200);
+      const handled = lines.find(line => line.msg === 'Webhook handled');
+      expect(handled).to.include({
+        level: 'info',
+        deliveryId: 'delivery-1',
+        event: 'check_suite',
+        action: 'rerequested',
+        repository: 'bob/myrepo',
+        conclusion: 'failure',
+        statusCode: 200,
+        decision: this.callback.getCall(0).args[1].body
+      });
+      expect(handled.pullRequests).to.deep.equal([123]);
+      expect(handled.durationMs).to.be.a('number');
+    });
+
+    it(`Logs why a webhook is ignored`, async function () {
+      const lines = await captureLines(() => this.myLambda.handler(withDelivery(makeEvent('closed', 'check_suite')), {}, this.callback));
+      validateCallback(this.callback, 202, 'No action to take');
+      expect(lines).to.have.lengthOf(1);
+      expect(lines[0]).to.include({
+        msg: 'Webhook handled',
+        action: 'closed',
+        statusCode: 202,
+        decision: 'No action to take'
+      });
+    });
+
+    it(`Logs rejected webhooks as warnings`, async function () {
+      const event = withDelivery(makeEvent('rerequested', 'check_suite'));
+      event.headers['X-Hub-Signature-256'] = 'sha256=0';
+      const lines = await captureLines(() => this.myLambda.handler(event, {}, this.callback));
+      validateCallback(this.callback, 401);
+      expect(lines[0]).to.include({
+        level: 'warn',
+        statusCode: 401
+      });
+      expect(lines[0]).to.not.have.property('repository');
+    });
+
+    it(`Times GitHub requests`, async function () {
+      await captureLines(() => this.myLambda.handler(withDelivery(makeEvent('rerequested', 'check_suite')), {}, this.callback));
+      const request = {
+        method: 'GET',
+        url: '/repos/:owner/:repo/contents/:path'
+      };
+      const lines = await captureLines(() => {
+        this.hook.before.getCall(1).args[1](request);
+        this.hook.after.getCall(1).args[1]({
+          status: 200
+        }, request);
+        expect(() => this.hook.error.getCall(1).args[1](Object.assign(new Error('Not Found'), {
+          code: 404
+        }), request)).to.throw('Not Found');
+      });
+      sinon.assert.calledWith(this.hook.before, 'request');
+      expect(lines.map(line => line.status)).to.deep.equal([200, 404]);
+      expect(lines[0]).to.include({
+        msg: 'GitHub request',
+        deliveryId: 'delivery-1',
+        repository: 'bob/myrepo',
+        method: 'GET',
+        url: '/repos/:owner/:repo/contents/:path'
+      });
+      expect(lines[0].durationMs).to.be.a('number');
+    });
+
+    it(`Counts the checks run and their conclusions`, async function () {
+      const lines = await captureLines(() => this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, this.callback));
+      const counted = lines.filter(line => line._aws).map(line => line._aws.CloudWatchMetrics[0].Metrics[0].Name);
+      expect(counted).to.deep.equal(['ChecksRun', 'ChecksFailed']);
+    });
+
+    it(`Logs and counts errors`, async function () {
+      this.getContent.reset();
+      this.getContent.rejects(new Error('GitHub is down'));
+      const lines = await captureLines(() => this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, this.callback));
+      validateCallback(this.callback);
+      expect(lines.find(line => line.msg === 'Webhook failed')).to.include({
+        level: 'error',
+        error: 'GitHub is down'
+      });
+      expect(lines.filter(line => line._aws).map(line => line._aws.CloudWatchMetrics[0].Metrics[0].Name)).to.deep.equal(['Errors']);
+    });
+
+    it(`Rejects an unknown log level`, async function () {
+      process.env.LOG_LEVEL = 'verbose';
+      const lines = await captureLines(() => this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, this.callback));
+      validateCallback(this.callback, 500, 'Internal Server Error');
+      expect(lines).to.have.lengthOf(1);
+      expect(lines[0]).to.include({
+        level: 'error',
+        msg: 'Webhook handler could not be created'
+      });
+      expect(lines[0].error).to.contain('Unknown log level verbose');
+    });
+  });
+
+  describe('prereleases', () => {
+
+    it(`Reads the release type and preid from the PR flag`, async function () {
+      setVersion(this.getContent, "2.0.0-beta.3", "2.0.0-rc.0");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: prerelease rc\nNotes'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 2.0.0-rc.0 will replace 2.0.0-beta.3'));
+    });
+
+    it(`Uses the configured preid`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'releaseType: prerelease\npreid: rc');
+      setVersion(this.getContent, "2.0.0-beta.3", "2.0.0-beta.4");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 2.0.0-beta.4 requires the prerelease identifier rc'));
+      sinon.assert.notCalled(this.getCommits);
+    });
+
+    it(`Releases a prerelease with the release flag`, async function () {
+      setVersion(this.getContent, "2.0.0-rc.1", "2.0.0");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: release'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 2.0.0 will replace 2.0.0-rc.1'));
+    });
+
+    it(`Fails a prerelease head for a major check`, async function () {
+      setVersion(this.getContent, "1.0.0", "3.0.0-beta.0");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: major'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 3.0.0-beta.0 is a prerelease, but a major check requires a stable version greater than 1.0.0'));
+      sinon.assert.calledWith(this.createCheck, sinon.match.has('conclusion', 'failure'));
+    });
+  });
+
+  describe('strict', () => {
+
+    it(`Requires the exact next version from the PR flag`, async function () {
+      setVersion(this.getContent, "1.0.0", "7.3.9");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: patch strict'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 7.3.9 must be exactly 1.0.1, the next patch version after 1.0.0'));
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'failure',
+        output: {
+          annotations: [{
+            path: 'package.json',
+            start_line: 1,
+            end_line: 1,
+            annotation_level: 'failure',
+            message: 'Version 7.3.9 must be exactly 1.0.1, the next patch version after 1.0.0. Set the version to 1.0.1'
+          }]
+        }
+      }));
+    });
+
+    it(`Reads strict mode from config`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'strict: true');
+      setVersion(this.getContent, "1.0.0", "1.0.2");
+      await this.myLambda.handler(makeEvent('rerequested', 'check_suite'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.2 must be exactly 1.0.1, the next patch version after 1.0.0'));
+    });
+
+    it(`Keeps strict mode for a commit-inferred release type`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'strict: true');
+      this.getCommits.resolves({
+        data: [{
+          sha: 'abcdef0123',
+          commit: {
+            message: 'feat: add thing'
+          }
+        }]
+      });
+      setVersion(this.getContent, "1.0.0", "1.1.0");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.1.0 will replace 1.0.0\n\nA minor version bump is required by commit abcdef0: feat: add thing'));
+    });
+
+    it(`Reads a preid alongside strict from the PR flag`, async function () {
+      setVersion(this.getContent, "2.0.0-beta.3", "2.0.0-rc.0");
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: prerelease STRICT rc'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 2.0.0-rc.0 will replace 2.0.0-beta.3'));
+    });
+  });
+
+  describe('registry', () => {
+
+    before(function (done) {
+      this.server = http.createServer((req, res) => {
+        if (req.url === '/mypackage') {
+          res.writeHead(200);
+          res.end(JSON.stringify({
+            'dist-tags': {
+              latest: '1.5.0'
+            },
+            versions: {
+              '1.0.0': {},
+              '1.5.0': {},
+              '1.6.0': {}
+            }
+          }));
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      }).listen(0, '127.0.0.1', () => {
+        this.registryUrl = `http://127.0.0.1:${this.server.address().port}/`;
+        done();
+      });
+    });
+
+    after(function (done) {
+      this.server.close(done);
+    });
+
+    beforeEach(function () {
+      process.env.NPM_REGISTRY_ALLOWLIST = `${this.registryUrl},127.0.0.1:1`;
+    });
+
+    afterEach(() => {
+      delete process.env.NPM_REGISTRY_ALLOWLIST;
+    });
+
+    function setManifests(getContent, oldVersion, newVersion, fields) {
+      setFile(getContent, BASE_SHA, "package.json", JSON.stringify(Object.assign({
+        name: 'mypackage',
+        version: oldVersion
+      }, fields)));
+      setFile(getContent, "headSha", "package.json", JSON.stringify(Object.assign({
+        name: 'mypackage',
+        version: newVersion
+      }, fields), null, 2));
+    }
+
+    it(`Fails when the version is not greater than latest`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", `registry: ${this.registryUrl}`);
+      setManifests(this.getContent, '1.0.0', '1.1.0');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared(`Version 1.1.0 is not greater than 1.5.0, the latest version published to ${this.registryUrl}`));
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'failure',
+        output: {
+          annotations: [sinon.match({
+            start_line: 3
+          })]
+        }
+      }));
+    });
+
+    it(`Fails when the version is already published`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", `registry: ${this.registryUrl}`);
+      setManifests(this.getContent, '1.0.0', '1.6.0');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared(`Version 1.6.0 is already published to ${this.registryUrl}`));
+    });
+
+    it(`Passes when the version is new`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", `registry: ${this.registryUrl}`);
+      setManifests(this.getContent, '1.0.0', '1.7.0');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.7.0 will replace 1.0.0'));
+    });
+
+    it(`Skips private packages`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", `registry: ${this.registryUrl}`);
+      setManifests(this.getContent, '1.0.0', '1.1.0', {
+        private: true
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.1.0 will replace 1.0.0'));
+    });
+
+    it(`Fails when the registry cannot be read`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'registry: http://127.0.0.1:1');
+      setManifests(this.getContent, '1.0.0', '1.1.0');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200);
+      expect(this.callback.getCall(0).args[1].body).to.match(/^Could not read mypackage from http:\/\/127.0.0.1:1: /);
+    });
+
+    it(`Does not read a registry the app does not allow`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'registry: http://169.254.169.254/');
+      setManifests(this.getContent, '1.0.0', '1.1.0');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Could not read mypackage from http://169.254.169.254/: registry is not allowed, add it to NPM_REGISTRY_ALLOWLIST of the app'));
+    });
+  });
+
+  describe('changelog', () => {
+
+    beforeEach(function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'changelog: true');
+      setVersion(this.getContent, "1.0.0", "1.1.0");
+    });
+
+    function changelogCheck(createCheck) {
+      sinon.assert.calledTwice(createCheck);
+      const params = createCheck.getCall(1).args[0];
+      expect(params.name).to.equal('Version Checkr: Changelog');
+      expect(params.head_sha).to.equal('headSha');
+      return params;
+    }
+
+    it(`Passes with an entry for the new version`, async function () {
+      setFile(this.getContent, "headSha", "CHANGELOG.md", '# Changelog\n\n## 1.1.0\n- Added things\n\n## 1.0.0\n- First\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.1.0 will replace 1.0.0'));
+      const params = changelogCheck(this.createCheck);
+      expect(params.conclusion).to.equal('success');
+      expect(params.output.summary).to.equal('CHANGELOG.md has an entry for version 1.1.0');
+    });
+
+    it(`Fails without an entry for the new version`, async function () {
+      setFile(this.getContent, "headSha", "CHANGELOG.md", '# Changelog\n\n## 1.0.0\n- First\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.1.0 will replace 1.0.0'));
+      const params = changelogCheck(this.createCheck);
+      expect(params.conclusion).to.equal('failure');
+      expect(params.output.annotations).to.deep.equal([{
+        path: 'CHANGELOG.md',
+        start_line: 1,
+        end_line: 1,
+        annotation_level: 'failure',
+        message: 'CHANGELOG.md has no entry for version 1.1.0'
+      }]);
+    });
+
+    it(`Fails with an empty entry`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'changelog: docs/HISTORY.md');
+      setFile(this.getContent, "headSha", "docs/HISTORY.md", '# History\n\n## 1.1.0\n\n## 1.0.0\n- First\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      const params = changelogCheck(this.createCheck);
+      expect(params.conclusion).to.equal('failure');
+      expect(params.output.summary).to.equal('The docs/HISTORY.md entry for version 1.1.0 is empty');
+      expect(params.output.annotations[0].start_line).to.equal(3);
+    });
+
+    it(`Fails without a changelog file`, async function () {
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      const params = changelogCheck(this.createCheck);
+      expect(params.conclusion).to.equal('failure');
+      expect(params.output.summary).to.equal('CHANGELOG.md not found, so version 1.1.0 has no changelog entry');
+      expect(params.output.annotations).to.deep.equal([]);
+    });
+
+    it(`Checks each workspace package changelog`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"workspaces": ["packages/*"]}');
+      setWorkspaceVersion(this.getContent, 'packages/a/package.json', '1.0.0', '1.0.1');
+      setWorkspaceVersion(this.getContent, 'packages/b/package.json', '2.0.0', '2.1.0');
+      setFile(this.getContent, "headSha", "packages/a/CHANGELOG.md", '## 1.0.1\n- Fix\n');
+      setFile(this.getContent, "headSha", "packages/b/CHANGELOG.md", '## 2.0.0\n- Major\n');
+      this.getFiles.resolves({
+        data: [{
+          filename: 'packages/a/index.js'
+        }, {
+          filename: 'packages/b/index.js'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      const params = changelogCheck(this.createCheck);
+      expect(params.output.summary).to.equal('1 of 2 packages are missing a changelog entry');
+      expect(params.output.annotations.map(annotation => annotation.path)).to.deep.equal(['packages/b/CHANGELOG.md']);
+    });
+
+    it(`Does not check the changelog without a pull request`, async function () {
+      await this.myLambda.handler(makeEvent('requested', 'check_suite', '', false), {}, this.callback);
+      sinon.assert.calledOnce(this.createCheck);
+    });
+
+    it(`Passes through GitHub errors`, async function () {
+      this.getContent.withArgs(sinon.match.has('path', 'CHANGELOG.md')).rejects(new Error('Server Error'));
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback);
+    });
+  });
+
+  describe('lockfile', () => {
+
+    function createLockfile(version, packages) {
+      return JSON.stringify({
+        name: 'mypackage',
+        version,
+        lockfileVersion: packages ? 2 : 1,
+        packages
+      }, null, 2);
+    }
+
+    it(`Passes when the lockfile matches`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setFile(this.getContent, "headSha", "package-lock.json", createLockfile('1.0.1'));
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
+      sinon.assert.calledWith(this.getContent, sinon.match({
+        ref: 'headSha',
+        path: 'npm-shrinkwrap.json'
+      }));
+    });
+
+    it(`Annotates each mismatched lockfile version`, async function () {
+      setVersion(this.getContent, "1.3.9", "1.4.0");
+      setFile(this.getContent, "headSha", "package-lock.json", createLockfile('1.3.9', {
+        '': {
+          version: '1.3.9'
+        }
+      }));
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('2 lockfile versions do not match package.json'));
+      const output = this.createCheck.getCall(0).args[0].output;
+      expect(this.createCheck.getCall(0).args[0].conclusion).to.equal('failure');
+      expect(output.annotations).to.deep.equal([{
+        path: 'package-lock.json',
+        start_line: 3,
+        end_line: 3,
+        annotation_level: 'failure',
+        message: 'package-lock.json version is 1.3.9, but package.json version is 1.4.0'
+      }, {
+        path: 'package-lock.json',
+        start_line: 7,
+        end_line: 7,
+        annotation_level: 'failure',
+        message: 'package-lock.json packages[""].version is 1.3.9, but package.json version is 1.4.0'
+      }]);
+    });
+
+    it(`Fails for a lockfile that is not valid JSON`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setFile(this.getContent, "headSha", "package-lock.json", '{\n<<<<<<< HEAD\n  "version": "1.0.0"\n=======\n  "version": "1.0.1"\n>>>>>>> main\n}');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('package-lock.json is not valid JSON at line 2, column 1'));
+      const check = this.createCheck.getCall(0).args[0];
+      expect(check.conclusion).to.equal('failure');
+      expect(check.output.annotations).to.deep.equal([{
+        path: 'package-lock.json',
+        start_line: 2,
+        end_line: 2,
+        annotation_level: 'failure',
+        message: 'package-lock.json is not valid JSON at line 2, column 1'
+      }]);
+    });
+
+    it(`Skips a lockfile too large for the contents API`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setFile(this.getContent, "headSha", "package-lock.json", '');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
+      sinon.assert.calledWith(this.createCheck, sinon.match.has('conclusion', 'success'));
+    });
+
+    it(`Prefers npm-shrinkwrap.json`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setFile(this.getContent, "headSha", "npm-shrinkwrap.json", createLockfile('1.0.0'));
+      setFile(this.getContent, "headSha", "package-lock.json", createLockfile('1.0.1'));
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('npm-shrinkwrap.json version is 1.0.0, but package.json version is 1.0.1'));
+      sinon.assert.neverCalledWith(this.getContent, sinon.match.has('path', 'package-lock.json'));
+    });
+
+    it(`Reports the version bump failure first`, async function () {
+      setFile(this.getContent, "headSha", "package-lock.json", createLockfile('0.9.0'));
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a patch version number greater than 1.0.0'));
+      expect(this.createCheck.getCall(0).args[0].output.annotations).to.have.lengthOf(2);
+    });
+
+    it(`Checks workspace package entries`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"version": "1.0.0", "workspaces": ["packages/*"]}');
+      setWorkspaceVersion(this.getContent, 'packages/a/package.json', '1.0.0', '1.1.0');
+      setFile(this.getContent, "headSha", "package-lock.json", createLockfile('1.0.0', {
+        '': {
+          version: '1.0.0'
+        },
+        'packages/a': {
+          version: '1.0.0'
+        }
+      }));
+      this.getFiles.resolves({
+        data: [{
+          filename: 'packages/a/index.js'
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('package-lock.json packages["packages/a"].version is 1.0.0, but packages/a/package.json version is 1.1.0'));
+    });
+
+    it(`Can be turned off in config`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'lockfile: false');
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setFile(this.getContent, "headSha", "package-lock.json", createLockfile('1.0.0'));
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.1 will replace 1.0.0'));
+      sinon.assert.callCount(this.getContent, 3);
+    });
+
+    it(`Passes through GitHub errors`, async function () {
+      this.getContent.withArgs(sinon.match.has('path', 'npm-shrinkwrap.json')).rejects(new Error('Server Error'));
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback);
+    });
+  });
+
+  describe('manifests', () => {
+
+    beforeEach(function () {
+      this.getContent.withArgs(sinon.match.has('path', 'package.json')).rejects(notFound());
+    });
+
+    it(`Checks pyproject.toml when there is no package.json`, async function () {
+      setFile(this.getContent, BASE_SHA, "pyproject.toml", '[project]\nname = "a"\nversion = "1.0rc1"\n');
+      setFile(this.getContent, "headSha", "pyproject.toml", '[project]\nname = "a"\nversion = "1.0"\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0 will replace 1.0rc1'));
+      sinon.assert.neverCalledWith(this.getContent, sinon.match.has('path', 'package-lock.json'));
+    });
+
+    it(`Annotates the version line of Cargo.toml`, async function () {
+      setFile(this.getContent, BASE_SHA, "Cargo.toml", '[package]\nname = "a"\nversion = "0.2.0"\n');
+      setFile(this.getContent, "headSha", "Cargo.toml", '[package]\nname = "a"\nversion = "0.2.0"\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 0.2.0 requires a patch version number greater than 0.2.0'));
+      expect(this.createCheck.getCall(0).args[0].output.annotations).to.deep.equal([{
+        path: 'Cargo.toml',
+        start_line: 3,
+        end_line: 3,
+        annotation_level: 'failure',
+        message: 'Version 0.2.0 requires a patch version number greater than 0.2.0'
+      }]);
+    });
+
+    it(`Checks the configured manifest with Maven ordering`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'manifest: server/pom.xml\nreleaseType: release');
+      setFile(this.getContent, BASE_SHA, "server/pom.xml", '<project>\n  <version>2.1-SNAPSHOT</version>\n</project>');
+      setFile(this.getContent, "headSha", "server/pom.xml", '<project>\n  <version>2.1</version>\n</project>');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 2.1 will replace 2.1-SNAPSHOT'));
+      expect(this.createCheck.getCall(0).args[0].output).to.include({
+        title: '2.1-SNAPSHOT → 2.1 (release)',
+        text: [
+          '| Manifest | Base | Head | Required | Required by | Minimum | Result |',
+          '| --- | --- | --- | --- | --- | --- | --- |',
+          '| `server/pom.xml` | 2.1-SNAPSHOT | 2.1 | release | `.github/version-checkr.yml` | 2.1 | Pass |',
+          '',
+          '- Pass `server/pom.xml`: Version 2.1 will replace 2.1-SNAPSHOT'
+        ].join('\n')
+      });
+    });
+
+    it(`Checks Maven snapshots in prerelease mode`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'manifest: pom.xml\nreleaseType: prerelease');
+      setFile(this.getContent, BASE_SHA, "pom.xml", '<project>\n  <version>1.0.1-SNAPSHOT</version>\n</project>');
+      setFile(this.getContent, "headSha", "pom.xml", '<project>\n  <version>1.0.2-SNAPSHOT</version>\n</project>');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.2-SNAPSHOT will replace 1.0.1-SNAPSHOT'));
+    });
+
+    it(`Checks PEP 440 pre-releases in prerelease mode`, async function () {
+      setFile(this.getContent, BASE_SHA, "pyproject.toml", '[project]\nversion = "1.0a1"\n');
+      setFile(this.getContent, "headSha", "pyproject.toml", '[project]\nversion = "1.0a1"\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: prerelease'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0a1 requires a prerelease version number greater than 1.0a1'));
+      expect(this.createCheck.getCall(0).args[0].output.text).to.include('| `pyproject.toml` | 1.0a1 | 1.0a1 | prerelease | Pull request flag | 1.0a2 | Fail |');
+    });
+
+    it(`Uses the configured version scheme`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'versionScheme: pep440');
+      setFile(this.getContent, BASE_SHA, "VERSION", '2.0.0\n');
+      setFile(this.getContent, "headSha", "VERSION", '2.0.0.post1\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 2.0.0.post1 requires a patch version number greater than 2.0.0'));
+    });
+
+    it(`Moves past a manifest with a dynamic version`, async function () {
+      const pyproject = '[project]\nname = "a"\ndynamic = ["version"]\n';
+      setFile(this.getContent, BASE_SHA, "pyproject.toml", pyproject);
+      setFile(this.getContent, "headSha", "pyproject.toml", pyproject);
+      setFile(this.getContent, BASE_SHA, "setup.cfg", '[metadata]\nversion = 1.0\n');
+      setFile(this.getContent, "headSha", "setup.cfg", '[metadata]\nversion = 1.1\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.1 will replace 1.0'));
+    });
+
+    it(`Is neutral when the only manifest has a dynamic version`, async function () {
+      const cargo = '[package]\nname = "a"\nversion.workspace = true\n';
+      setFile(this.getContent, BASE_SHA, "Cargo.toml", cargo);
+      setFile(this.getContent, "headSha", "Cargo.toml", cargo);
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'Cargo.toml sets its version dynamically, so there is no version to check');
+      sinon.assert.calledWith(this.createCheck, sinon.match({
+        conclusion: 'neutral',
+        output: sinon.match.has('title', 'Version not compared')
+      }));
+    });
+
+    it(`Does not compare with a dynamic base version`, async function () {
+      setFile(this.getContent, BASE_SHA, "pyproject.toml", '[project]\ndynamic = ["version"]\n');
+      setFile(this.getContent, "headSha", "pyproject.toml", '[project]\nversion = "1.0"\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'At the base commit, pyproject.toml sets its version dynamically, so version 1.0 was not compared');
+    });
+
+    it(`Is neutral without a manifest`, async function () {
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'No version manifest found, looked for package.json, pyproject.toml, setup.cfg, Cargo.toml, pom.xml, build.gradle, build.gradle.kts, VERSION, VERSION.txt');
+      expect(this.createCheck.getCall(0).args[0].conclusion).to.equal('neutral');
+    });
+
+    it(`Is neutral when the configured manifest is missing`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'manifest: VERSION');
+      setFile(this.getContent, "headSha", "pyproject.toml", '[project]\nversion = "1.0"\n');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'No version manifest found, looked for VERSION');
+    });
+  });
+
+  describe('auto-fix', () => {
+
+    function makeFixEvent(identifier = 'bump-version') {
+      const event = makeEvent('requested_action', 'check_run');
+      const body = JSON.parse(event.body);
+      body.requested_action = {
+        identifier
+      };
+      Object.assign(body.check_run, {
+        id: 42,
+        output: {
+          title: 'Failure',
+          summary: 'Version 1.0.0 requires a patch version number greater than 1.0.0',
+          text: '- Fail `package.json`: Version 1.0.0 requires a patch version number greater than 1.0.0'
+        }
+      });
+      event.body = JSON.stringify(body);
+      signEvent(event);
+      return event;
+    }
+
+    function createPullRequest(headRepo = 'bob/myrepo') {
+      return {
+        data: {
+          body: '',
+          head: {
+            ref: 'feature',
+            label: 'bob:feature',
+            sha: 'headSha',
+            repo: {
+              full_name: headRepo
+            }
+          },
+          base: {
+            ref: 'baseRef',
+            repo: {
+              full_name: 'bob/myrepo'
+            }
+          }
+        }
+      };
+    }
+
+    beforeEach(function () {
+      this.getPullRequest.resolves(createPullRequest());
+    });
+
+    function expectRefused(test, description) {
+      validateCallback(test.callback, 200, description);
+      sinon.assert.notCalled(test.gitdata.updateReference);
+      sinon.assert.calledWith(test.updateCheck, {
+        owner: 'bob',
+        repo: 'myrepo',
+        check_run_id: 42,
+        actions: [],
+        output: {
+          title: 'Failure',
+          summary: `Version 1.0.0 requires a patch version number greater than 1.0.0\n\nThe version was not bumped: ${description}`,
+          text: '- Fail `package.json`: Version 1.0.0 requires a patch version number greater than 1.0.0'
+        }
+      });
+    }
+
+    it(`Offers a button on a failed check`, async function () {
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      expect(this.createCheck.getCall(0).args[0].actions).to.deep.equal([{
+        label: 'Bump to 1.0.1',
+        description: 'Commit the fix to this pull request',
+        identifier: 'bump-version'
+      }]);
+    });
+
+    it(`Offers a lockfile sync when only the lockfile is wrong`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setFile(this.getContent, "headSha", "package-lock.json", '{"version": "1.0.0", "lockfileVersion": 1}');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      expect(this.createCheck.getCall(0).args[0].actions[0].label).to.equal('Sync lockfile');
+    });
+
+    [{
+      title: 'a passing check',
+      oldVersion: '1.0.0',
+      newVersion: '1.0.1'
+    }, {
+      title: 'a check that no bump can fix',
+      flag: '#version-checkr: release',
+      oldVersion: '1.0.0',
+      newVersion: '1.0.1'
+    }].forEach(data => {
+      it(`Offers no button for ${data.title}`, async function () {
+        setVersion(this.getContent, data.oldVersion, data.newVersion);
+        await this.myLambda.handler(makeEvent('synchronize', 'pull_request', data.flag), {}, this.callback);
+        expect(this.createCheck.getCall(0).args[0]).to.not.have.property('actions');
+      });
+    });
+
+    it(`Offers no button when turned off`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'autoFix: false');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      expect(this.createCheck.getCall(0).args[0]).to.not.have.property('actions');
+    });
+
+    it(`Commits the bumped version and lockfile`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{\n  "name": "a",\n  "version": "1.0.0"\n}\n');
+      setFile(this.getContent, "headSha", "package-lock.json", '{\n  "name": "a",\n  "version": "1.0.0",\n  "lockfileVersion": 1\n}\n');
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      validateCallback(this.callback, 200, 'Pushed fixSha0 to feature');
+      sinon.assert.calledWith(this.gitdata.createTree, {
+        owner: 'bob',
+        repo: 'myrepo',
+        base_tree: 'headTree',
+        tree: [{
+          path: 'package.json',
+          mode: '100644',
+          type: 'blob',
+          content: '{\n  "name": "a",\n  "version": "1.0.1"\n}\n'
+        }, {
+          path: 'package-lock.json',
+          mode: '100644',
+          type: 'blob',
+          content: '{\n  "name": "a",\n  "version": "1.0.1",\n  "lockfileVersion": 1\n}\n'
+        }]
+      });
+      sinon.assert.calledWith(this.gitdata.createCommit, {
+        owner: 'bob',
+        repo: 'myrepo',
+        message: 'Bump package.json version to 1.0.1',
+        tree: 'fixTree',
+        parents: ['headSha']
+      });
+      sinon.assert.calledWith(this.gitdata.updateReference, {
+        owner: 'bob',
+        repo: 'myrepo',
+        ref: 'heads/feature',
+        sha: 'fixSha0123456789',
+        force: false
+      });
+      sinon.assert.notCalled(this.updateCheck);
+      sinon.assert.notCalled(this.createCheck);
+    });
+
+    it(`Commits the exact version in strict mode`, async function () {
+      this.getPullRequest.resolves(Object.assign(createPullRequest(), {
+        data: Object.assign(createPullRequest().data, {
+          body: '#version-checkr: minor strict'
+        })
+      }));
+      setVersion(this.getContent, "1.2.3", "2.0.0");
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      expect(this.gitdata.createTree.getCall(0).args[0].tree).to.deep.equal([{
+        path: 'package.json',
+        mode: '100644',
+        type: 'blob',
+        content: '{"version": "1.3.0"}'
+      }]);
+    });
+
+    it(`Bumps every failing workspace package`, async function () {
+      setFile(this.getContent, "headSha", "package.json", '{"workspaces": ["packages/*"]}');
+      setWorkspaceVersion(this.getContent, 'packages/a/package.json', '1.0.0', '1.0.0');
+      setWorkspaceVersion(this.getContent, 'packages/b/package.json', '2.0.0', '2.0.0');
+      this.getFiles.resolves({
+        data: [{
+          filename: 'packages/a/index.js'
+        }, {
+          filename: 'packages/b/index.js'
+        }]
+      });
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      validateCallback(this.callback, 200, 'Pushed fixSha0 to feature');
+      expect(this.gitdata.createTree.getCall(0).args[0].tree.map(file => file.path)).to.deep.equal(['packages/a/package.json', 'packages/b/package.json']);
+      expect(this.gitdata.createCommit.getCall(0).args[0].message).to.equal(
+        'Bump versions of 2 packages\n\n- packages/a/package.json: 1.0.1\n- packages/b/package.json: 2.0.1');
+    });
+
+    it(`Refuses commits outside a pull request`, async function () {
+      const event = makeFixEvent();
+      const body = JSON.parse(event.body);
+      body.check_run.check_suite.pull_requests = [];
+      event.body = JSON.stringify(body);
+      signEvent(event);
+      await this.myLambda.handler(event, {}, this.callback);
+      expectRefused(this, 'The commit is not part of a pull request');
+    });
+
+    it(`Refuses forks`, async function () {
+      this.getPullRequest.resolves(createPullRequest('alice/myrepo'));
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      expectRefused(this, 'bob:feature is a fork, which version-checkr cannot push to');
+    });
+
+    it(`Refuses protected branches`, async function () {
+      this.getBranch.resolves({
+        data: {
+          protected: true
+        }
+      });
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      expectRefused(this, 'feature is a protected branch, which version-checkr does not push to');
+      sinon.assert.calledWith(this.getBranch, {
+        owner: 'bob',
+        repo: 'myrepo',
+        branch: 'feature'
+      });
+    });
+
+    it(`Refuses when the branch has moved on`, async function () {
+      this.gitdata.updateReference.rejects(Object.assign(new Error('Update is not a fast forward'), {
+        code: 422
+      }));
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      validateCallback(this.callback, 200, 'feature has new commits since this check ran');
+    });
+
+    it(`Refuses when the check ran on an older commit`, async function () {
+      const pullRequest = createPullRequest();
+      pullRequest.data.head.sha = 'newerSha';
+      this.getPullRequest.resolves(pullRequest);
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      expectRefused(this, 'feature has new commits since this check ran');
+    });
+
+    it(`Refuses when turned off`, async function () {
+      setFile(this.getContent, "baseRef", ".github/version-checkr.yml", 'autoFix: false');
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      expectRefused(this, 'autoFix is turned off in .github/version-checkr.yml');
+    });
+
+    it(`Refuses when the check is already fixed`, async function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      expectRefused(this, 'The check cannot be fixed by bumping the version');
+    });
+
+    it(`Refuses without write permission`, async function () {
+      this.gitdata.createTree.rejects(Object.assign(new Error('Resource not accessible by integration'), {
+        code: 403
+      }));
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      expectRefused(this, 'version-checkr needs the Repository contents Read & write permission to push');
+    });
+
+    it(`Ignores other actions`, async function () {
+      await this.myLambda.handler(makeFixEvent('something-else'), {}, this.callback);
+      validateCallback(this.callback, 202, 'No action to take');
+      sinon.assert.notCalled(this.authenticate);
+    });
+
+    it(`Passes through GitHub errors`, async function () {
+      this.getBranch.rejects(new Error('Server Error'));
+      await this.myLambda.handler(makeFixEvent(), {}, this.callback);
+      validateCallback(this.callback);
+    });
+  });
+
+  describe('deduplication', () => {
+
+    function withDelivery(event, deliveryId) {
+      event.headers['X-GitHub-Delivery'] = deliveryId;
+      return event;
+    }
+
+    it(`Skips the check suite for a pull request that was just checked`, async function () {
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, sinon.spy());
+      await this.myLambda.handler(makeEvent('requested', 'check_suite'), {}, this.callback);
+      validateCallback(this.callback, 202, 'Version already checked for headSha');
+      sinon.assert.calledOnce(this.createCheck);
+    });
+
+    it(`Skips a redelivered webhook`, async function () {
+      await this.myLambda.handler(withDelivery(makeEvent('requested', 'check_suite'), 'delivery-1'), {}, sinon.spy());
+      await this.myLambda.handler(withDelivery(makeEvent('requested', 'check_suite'), 'delivery-1'), {}, this.callback);
+      validateCallback(this.callback, 202, 'Version already checked for headSha');
+      sinon.assert.calledOnce(this.createCheck);
+    });
+
+    it(`Checks again when the pull request body changes`, async function () {
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', 'My comment'), {}, sinon.spy());
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#major'), {}, this.callback);
+      validateCallback(this.callback, 200);
+      sinon.assert.calledTwice(this.createCheck);
+    });
+
+    it(`Always runs a re-requested check`, async function () {
+      await this.myLambda.handler(makeEvent('requested', 'check_suite'), {}, sinon.spy());
+      await this.myLambda.handler(makeEvent('rerequested', 'check_run'), {}, this.callback);
+      validateCallback(this.callback, 200);
+      sinon.assert.calledTwice(this.createCheck);
+    });
+
+    it(`Checks again after a failed check`, async function () {
+      this.createCheck.onFirstCall().rejects(new Error('Server Error'));
+      await this.myLambda.handler(makeEvent('requested', 'check_suite'), {}, sinon.spy());
+      await this.myLambda.handler(makeEvent('requested', 'check_suite'), {}, this.callback);
+      validateCallback(this.callback, 200);
+      sinon.assert.calledTwice(this.createCheck);
+    });
+  });
+
+  describe('multiple pull requests', () => {
+
+    function makeMultiEvent(action, eventType) {
+      const event = makeEvent(action, eventType);
+      const body = JSON.parse(event.body);
+      const checkSuite = eventType === 'check_run' ? body.check_run.check_suite : body.check_suite;
+      checkSuite.pull_requests.push({
+        head: {
+          sha: 'headSha'
+        },
+        base: {
+          ref: 'release'
+        },
+        number: 45
+      });
+      event.body = JSON.stringify(body);
+      signEvent(event);
+      return event;
+    }
+
+    beforeEach(function () {
+      setVersion(this.getContent, "1.0.0", "1.0.1");
+      setFile(this.getContent, RELEASE_SHA, 'package.json', '{"version": "1.0.0"}');
+    });
+
+    it(`Checks the version against every base branch`, async function () {
+      await this.myLambda.handler(makeMultiEvent('requested', 'check_suite'), {}, this.callback);
+      validateCallback(this.callback, 200, [
+        'Version check passed against 2 of 2 base branches',
+        '',
+        '- release (#45): Version 1.0.1 will replace 1.0.0. Compared with release at e1ea5e0',
+        '- baseRef (#123): Version 1.0.1 will replace 1.0.0. Compared with baseRef at ba5e012'
+      ].join('\n'));
+      sinon.assert.calledOnce(this.createCheck);
+      const check = this.createCheck.getCall(0).args[0];
+      expect(check.conclusion).to.equal('success');
+      const table = [
+        '| Manifest | Base | Head | Required | Required by | Minimum | Result |',
+        '| --- | --- | --- | --- | --- | --- | --- |',
+        '| `package.json` | 1.0.0 | 1.0.1 | patch | Default | 1.0.1 | Pass |',
+        '',
+        '- Pass `package.json`: Version 1.0.1 will replace 1.0.0'
+      ];
+      expect(check.output.title).to.equal('Success');
+      expect(check.output.text).to.equal(['### release (#45)', ''].concat(table, '', '### baseRef (#123)', '', table).join('\n'));
+      sinon.assert.calledWith(this.getContent, sinon.match({
+        ref: RELEASE_SHA,
+        path: 'package.json'
+      }));
+    });
+
+    it(`Fails when any base branch fails`, async function () {
+      setFile(this.getContent, RELEASE_SHA, 'package.json', '{"version": "1.1.0"}');
+      await this.myLambda.handler(makeMultiEvent('rerequested', 'check_run'), {}, this.callback);
+      validateCallback(this.callback, 200, [
+        'Version check failed against release (#45)',
+        '',
+        '- release (#45): Version 1.0.1 is lower than 1.1.0 at the base commit. Compared with release at e1ea5e0',
+        '- baseRef (#123): Version 1.0.1 will replace 1.0.0. Compared with baseRef at ba5e012'
+      ].join('\n'));
+      const check = this.createCheck.getCall(0).args[0];
+      expect(check.conclusion).to.equal('failure');
+      expect(check.output.annotations).to.have.lengthOf(1);
+      expect(check.actions).to.not.exist;
+    });
+
+    it(`Lists a base branch that is not checked`, async function () {
+      setFile(this.getContent, 'release', '.github/version-checkr.yml', 'branches: [master]');
+      await this.myLambda.handler(makeMultiEvent('requested', 'check_suite'), {}, this.callback);
+      validateCallback(this.callback, 200, [
+        'Version check passed against 1 of 2 base branches',
+        '',
+        '- release (#45): Base branch release is not configured for version checks',
+        '- baseRef (#123): Version 1.0.1 will replace 1.0.0. Compared with baseRef at ba5e012'
+      ].join('\n'));
+    });
+
+    it(`Also checks the other pull requests of a pull_request event`, async function () {
+      this.getAllPullRequests.resolves({
+        data: [{
+          number: 123,
+          head: {
+            sha: 'headSha'
+          },
+          base: {
+            ref: 'baseRef'
+          }
+        }, {
+          number: 46,
+          head: {
+            sha: 'otherSha'
+          },
+          base: {
+            ref: 'other'
+          }
+        }, {
+          number: 45,
+          head: {
+            sha: 'headSha'
+          },
+          base: {
+            ref: 'release'
+          },
+          body: '#version-checkr:minor'
+        }]
+      });
+      const event = makeEvent('synchronize', 'pull_request');
+      const body = JSON.parse(event.body);
+      body.pull_request.head.label = 'bob:feature';
+      event.body = JSON.stringify(body);
+      signEvent(event);
+      await this.myLambda.handler(event, {}, this.callback);
+      sinon.assert.calledWith(this.getAllPullRequests, sinon.match({
+        owner: 'bob',
+        repo: 'myrepo',
+        state: 'open',
+        head: 'bob:feature'
+      }));
+      validateCallback(this.callback, 200, [
+        'Version check failed against release (#45)',
+        '',
+        '- release (#45): Version 1.0.1 requires a minor version number greater than 1.0.0. Compared with release at e1ea5e0',
+        '- baseRef (#123): Version 1.0.1 will replace 1.0.0. Compared with baseRef at ba5e012'
+      ].join('\n'));
+    });
+
+    it(`Skips the check suite after a pull_request event that checked every base branch`, async function () {
+      this.getAllPullRequests.resolves({
+        data: [{
+          number: 45,
+          head: {
+            sha: 'headSha'
+          },
+          base: {
+            ref: 'release'
+          }
+        }]
+      });
+      const event = makeEvent('synchronize', 'pull_request');
+      const body = JSON.parse(event.body);
+      body.pull_request.head.label = 'bob:feature';
+      event.body = JSON.stringify(body);
+      signEvent(event);
+      await this.myLambda.handler(event, {}, sinon.spy());
+      await this.myLambda.handler(makeMultiEvent('requested', 'check_suite'), {}, this.callback);
+      validateCallback(this.callback, 202, 'Version already checked for headSha');
+      sinon.assert.calledOnce(this.createCheck);
+    });
+
+    it(`Checks a pull_request event again when the commit is in another pull request`, async function () {
+      await this.myLambda.handler(makeEvent('requested', 'check_suite'), {}, sinon.spy());
+      this.getAllPullRequests.resolves({
+        data: [{
+          number: 45,
+          head: {
+            sha: 'headSha'
+          },
+          base: {
+            ref: 'release'
+          }
+        }]
+      });
+      const event = makeEvent('synchronize', 'pull_request');
+      const body = JSON.parse(event.body);
+      body.pull_request.head.label = 'bob:feature';
+      event.body = JSON.stringify(body);
+      signEvent(event);
+      await this.myLambda.handler(event, {}, this.callback);
+      validateCallback(this.callback, 200);
+      sinon.assert.calledTwice(this.createCheck);
+    });
+
+    it(`Refuses to fix a commit in several pull requests`, async function () {
+      const event = makeMultiEvent('requested_action', 'check_run');
+      const body = JSON.parse(event.body);
+      body.requested_action = {
+        identifier: 'bump-version'
+      };
+      Object.assign(body.check_run, {
+        id: 42,
+        output: {
+          title: 'Failure',
+          summary: 'Version check failed'
+        }
+      });
+      event.body = JSON.stringify(body);
+      signEvent(event);
+      await this.myLambda.handler(event, {}, this.callback);
+      validateCallback(this.callback, 200, 'The commit is part of 2 pull requests, so the version has to be bumped by hand');
+      sinon.assert.notCalled(this.gitdata.updateReference);
+      sinon.assert.calledWith(this.updateCheck, sinon.match({
+        check_run_id: 42,
+        actions: []
+      }));
+    });
+  });
+
+  describe('pull request edits', () => {
+
+    function makeEditEvent(changes) {
+      const event = makeEvent('edited', 'pull_request', '#version-checkr: minor');
+      const body = JSON.parse(event.body);
+      body.changes = changes;
+      event.body = JSON.stringify(body);
+      return signEvent(event);
+    }
+
+    it(`Checks again when the description changes`, async function () {
+      await this.myLambda.handler(makeEditEvent({
+        body: {
+          from: ''
+        }
+      }), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a minor version number greater than 1.0.0'));
+      sinon.assert.calledOnce(this.createCheck);
+    });
+
+    it(`Checks again when the base branch changes`, async function () {
+      await this.myLambda.handler(makeEditEvent({
+        base: {
+          ref: {
+            from: 'master'
+          }
+        }
+      }), {}, this.callback);
+      validateCallback(this.callback, 200);
+      sinon.assert.calledOnce(this.createCheck);
+    });
+
+    it(`Ignores title changes`, async function () {
+      await this.myLambda.handler(makeEditEvent({
+        title: {
+          from: 'Old title'
+        }
+      }), {}, this.callback);
+      validateCallback(this.callback, 202, 'No action to take');
+      sinon.assert.notCalled(this.createCheck);
+    });
+  });
+
+  describe('comment commands', () => {
+
+    function makeCommentEvent(comment, authorAssociation = 'COLLABORATOR', pullRequest = true) {
+      const event = makeEvent('created', 'issue_comment');
+      const body = JSON.parse(event.body);
+      body.issue = {
+        number: 123
+      };
+      if (pullRequest) {
+        body.issue.pull_request = {
+          url: 'https://api.github.com/repos/bob/myrepo/pulls/123'
+        };
+      }
+      body.comment = {
+        body: comment,
+        author_association: authorAssociation,
+        user: {
+          login: 'alice'
+        }
+      };
+      event.body = JSON.stringify(body);
+      return signEvent(event);
+    }
+
+    beforeEach(function () {
+      this.getPullRequest.resolves({
+        data: {
+          number: 123,
+          body: '',
+          head: {
+            sha: 'headSha',
+            label: 'bob:feature'
+          },
+          base: {
+            ref: 'baseRef'
+          }
+        }
+      });
+    });
+
+    it(`Checks again on /version-checkr recheck`, async function () {
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, sinon.spy());
+      await this.myLambda.handler(makeCommentEvent('Looks good\n/version-checkr recheck'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 requires a patch version number greater than 1.0.0'));
+      sinon.assert.calledTwice(this.createCheck);
+      sinon.assert.calledWith(this.getPullRequest, {
+        owner: 'bob',
+        repo: 'myrepo',
+        number: 123
+      });
+    });
+
+    it(`Uses the mode from the latest command comment`, async function () {
+      setVersion(this.getContent, '1.0.0', '1.1.0');
+      this.getComments.resolves({
+        data: [{
+          body: '/version-checkr major',
+          author_association: 'MEMBER',
+          user: {
+            login: 'carol'
+          }
+        }, {
+          body: '/version-checkr minor',
+          author_association: 'OWNER',
+          user: {
+            login: 'alice'
+          }
+        }, {
+          body: '/version-checkr patch',
+          author_association: 'CONTRIBUTOR',
+          user: {
+            login: 'mallory'
+          }
+        }]
+      });
+      await this.myLambda.handler(makeCommentEvent('/version-checkr minor', 'OWNER'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.1.0 will replace 1.0.0\n\nThe minor mode was set by @alice in a comment'));
+      sinon.assert.calledWith(this.getComments, sinon.match({
+        owner: 'bob',
+        repo: 'myrepo',
+        number: 123
+      }));
+    });
+
+    it(`Prefers the command comment over the description flag`, async function () {
+      this.getComments.resolves({
+        data: [{
+          body: '/version-checkr major strict',
+          author_association: 'COLLABORATOR',
+          user: {
+            login: 'alice'
+          }
+        }]
+      });
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request', '#version-checkr: patch'), {}, this.callback);
+      validateCallback(this.callback, 200, compared('Version 1.0.0 must be exactly 2.0.0, the next major version after 1.0.0\n\nThe major mode was set by @alice in a comment'));
+    });
+
+    it(`Ignores commands from people who cannot push`, async function () {
+      await this.myLambda.handler(makeCommentEvent('/version-checkr patch', 'CONTRIBUTOR'), {}, this.callback);
+      validateCallback(this.callback, 202, '@alice cannot run version-checkr commands');
+      sinon.assert.notCalled(this.authenticate);
+    });
+
+    it(`Ignores other comments`, async function () {
+      await this.myLambda.handler(makeCommentEvent('Please run /version-checkr recheck'), {}, this.callback);
+      validateCallback(this.callback, 202, 'No action to take');
+    });
+
+    it(`Ignores comments on issues`, async function () {
+      await this.myLambda.handler(makeCommentEvent('/version-checkr recheck', 'OWNER', false), {}, this.callback);
+      validateCallback(this.callback, 202, 'No action to take');
+    });
+  });
+
+  describe('compare strategies', () => {
+
+    it(`Compares with the base branch tip`, async function () {
+      setVersion(this.getContent, '1.0.0', '1.0.1');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'Version 1.0.1 will replace 1.0.0\n\nCompared with baseRef at ba5e012');
+      sinon.assert.calledWith(this.getBranch, {
+        owner: 'bob',
+        repo: 'myrepo',
+        branch: 'baseRef'
+      });
+    });
+
+    it(`Compares with the merge base`, async function () {
+      setFile(this.getContent, 'baseRef', '.github/version-checkr.yml', 'compareWith: merge-base');
+      setVersion(this.getContent, '1.1.0', '1.0.1');
+      setFile(this.getContent, 'fork0123456789', 'package.json', '{"version": "1.0.0"}');
+      await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+      validateCallback(this.callback, 200, 'Version 1.0.1 will replace 1.0.0\n\nCompared with fork012, the merge base with baseRef');
+      sinon.assert.calledWith(this.compareCommits, {
+        owner: 'bob',
+        repo: 'myrepo',
+        base: 'baseRef',
+        head: 'headSha'
+      });
+    });
+
+    describe('merge commit', () => {
+
+      function setMergeCommit(test, parents) {
+        test.gitdata.getCommit.withArgs(sinon.match({
+          commit_sha: 'merge0123456789'
+        })).resolves({
+          data: {
+            parents: parents.map(sha => ({
+              sha
+            }))
+          }
+        });
+      }
+
+      function mergeable(value) {
+        return {
+          data: {
+            body: '',
+            mergeable: value,
+            merge_commit_sha: value === null ? null : 'merge0123456789'
+          }
+        };
+      }
+
+      async function runWithTimers(test, event) {
+        const clock = sinon.useFakeTimers({
+          toFake: ['setTimeout']
+        });
+        try {
+          const result = test.myLambda.handler(event, {}, test.callback);
+          for (let i = 0; i < 5; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+            clock.tick(1000);
+          }
+          await result;
+        } finally {
+          clock.restore();
+        }
+      }
+
+      beforeEach(function () {
+        setFile(this.getContent, 'baseRef', '.github/version-checkr.yml', 'compareWith: merge-commit');
+        setFile(this.getContent, 'merge0123456789', 'package.json', '{"version": "1.1.0"}');
+        setVersion(this.getContent, '1.0.0', '1.0.1');
+        setMergeCommit(this, [BASE_SHA, 'headSha']);
+        this.getPullRequest.resolves(mergeable(true));
+      });
+
+      it(`Compares the test merge commit with its base parent`, async function () {
+        await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+        validateCallback(this.callback, 200, 'Version 1.1.0 will replace 1.0.0\n\nCompared the test merge commit merge01 with baseRef at ba5e012');
+        sinon.assert.calledWith(this.getPullRequest, {
+          owner: 'bob',
+          repo: 'myrepo',
+          number: 123
+        });
+      });
+
+      it(`Waits for GitHub to create the test merge commit`, async function () {
+        this.getPullRequest.onFirstCall().resolves(mergeable(null));
+        await runWithTimers(this, makeEvent('synchronize', 'pull_request'));
+        validateCallback(this.callback, 200, 'Version 1.1.0 will replace 1.0.0\n\nCompared the test merge commit merge01 with baseRef at ba5e012');
+        sinon.assert.calledTwice(this.getPullRequest);
+      });
+
+      it(`Is neutral when the test merge commit is for an older head`, async function () {
+        setMergeCommit(this, [BASE_SHA, 'oldSha']);
+        await runWithTimers(this, makeEvent('synchronize', 'pull_request'));
+        validateCallback(this.callback, 200, 'GitHub has not created the test merge commit for headSha yet, run the check again later');
+        sinon.assert.calledThrice(this.getPullRequest);
+        sinon.assert.calledWith(this.createCheck, sinon.match({
+          conclusion: 'neutral',
+          output: sinon.match({
+            title: 'Merge commit not ready'
+          })
+        }));
+      });
+
+      it(`Is neutral when the pull request has conflicts`, async function () {
+        this.getPullRequest.resolves(mergeable(false));
+        await this.myLambda.handler(makeEvent('synchronize', 'pull_request'), {}, this.callback);
+        validateCallback(this.callback, 200, 'The pull request has conflicts with baseRef, so there is no test merge commit to check');
+        sinon.assert.calledWith(this.createCheck, sinon.match({
+          conclusion: 'neutral',
+          output: sinon.match({
+            title: 'Merge conflict'
+          })
+        }));
+      });
+    });
+  });
 });
@@ -0,0 +1,246 @@
+'use strict';
+
+const expect = require('chai').expect,
+  schemes = require('../lib/schemes'),
+  versions = require('../lib/versions');
+
+describe('versions', () => {
+
+  [{
+      oldVersion: '2.0.0-beta.3',
+      newVersion: '2.0.0-beta.4',
+      releaseType: 'prerelease',
+      success: true
+    },
+    {
+      oldVersion: '2.0.0-beta.3',
+      newVersion: '2.0.0-rc.0',
+      releaseType: 'prerelease',
+      preid: 'rc',
+      success: true
+    },
+    {
+      oldVersion: '2.0.0-beta.3',
+      newVersion: '2.0.0-beta.3',
+      releaseType: 'prerelease',
+      description: 'Version 2.0.0-beta.3 requires a prerelease version number greater than 2.0.0-beta.3'
+    },
+    {
+      oldVersion: '2.0.0-beta.3',
+      newVersion: '2.0.0-beta.4',
+      releaseType: 'prerelease',
+      preid: 'rc',
+      description: 'Version 2.0.0-beta.4 requires the prerelease identifier rc'
+    },
+    {
+      oldVersion: '2.0.0-beta.3',
+      newVersion: '2.0.0',
+      releaseType: 'prerelease',
+      description: 'Version 2.0.0 is not a prerelease, but a prerelease check requires one greater than 2.0.0-beta.3'
+    },
+    {
+      oldVersion: '1.2.3',
+      newVersion: '1.2.4-0',
+      releaseType: 'prerelease',
+      success: true
+    },
+    {
+      oldVersion: '1.2.3',
+      newVersion: '2.0.0-beta.0',
+      releaseType: 'premajor',
+      preid: 'beta',
+      success: true
+    },
+    {
+      oldVersion: '1.2.3',
+      newVersion: '1.3.0-alpha.0',
+      releaseType: 'premajor',
+      description: 'Version 1.3.0-alpha.0 requires a premajor version number greater than 1.2.3'
+    },
+    {
+      oldVersion: '1.2.3',
+      newVersion: '1.3.0-beta.0',
+      releaseType: 'preminor',
+      preid: 'beta',
+      success: true
+    },
+    {
+      oldVersion: '1.2.3',
+      newVersion: '1.2.4-beta.0',
+      releaseType: 'prepatch',
+      preid: 'beta',
+      success: true
+    },
+    {
+      oldVersion: '2.0.0-rc.1',
+      newVersion: '2.0.0',
+      releaseType: 'release',
+      success: true
+    },
+    {
+      oldVersion: '2.0.0-rc.1',
+      newVersion: '2.0.0-rc.2',
+      releaseType: 'release',
+      description: 'Version 2.0.0-rc.2 is a prerelease, but a release check requires a stable version greater than 2.0.0-rc.1'
+    },
+    {
+      oldVersion: '2.0.0',
+      newVersion: '2.0.1',
+      releaseType: 'release',
+      description: 'Version 2.0.1 requires a prerelease base version to release, but 2.0.0 is stable'
+    },
+    {
+      oldVersion: '2.0.0-rc.1',
+      newVersion: '2.0.0',
+      releaseType: 'major',
+      success: true
+    },
+    {
+      oldVersion: '1.1.0-rc.1',
+      newVersion: '1.1.0',
+      releaseType: 'major',
+      description: 'Version 1.1.0 requires a major version number greater than 1.1.0-rc.1'
+    },
+    {
+      oldVersion: '1.0.0',
+      newVersion: '3.0.0-beta.0',
+      releaseType: 'major',
+      description: 'Version 3.0.0-beta.0 is a prerelease, but a major check requires a stable version greater than 1.0.0'
+    },
+    {
+      oldVersion: '1.0.0',
+      newVersion: '1.0.1-0',
+      releaseType: 'patch',
+      description: 'Version 1.0.1-0 is a prerelease, but a patch check requires a stable version greater than 1.0.0'
+    }
+  ].forEach((data) => {
+    it(`${data.oldVersion} -> ${data.newVersion} (${data.releaseType}${data.preid ? ` ${data.preid}` : ''})`, () => {
+      const result = versions.evaluateBump(data.oldVersion, data.newVersion, {
+        releaseType: data.releaseType,
+        preid: data.preid
+      });
+      expect(result.success).to.equal(!!data.success);
+      expect(result.description).to.equal(data.success ?
+        `Version ${data.newVersion} will replace ${data.oldVersion}` : data.description);
+    });
+  });
+
+  [{
+      oldVersion: '1.0.0',
+      newVersion: '1.0.1',
+      releaseType: 'patch'
+    },
+    {
+      oldVersion: '1.0.0',
+      newVersion: '7.3.9',
+      releaseType: 'patch',
+      expectedVersion: '1.0.1'
+    },
+    {
+      oldVersion: '1.2.3',
+      newVersion: '1.2.4',
+      releaseType: 'minor',
+      expectedVersion: '1.3.0'
+    },
+    {
+      oldVersion: '2.0.0-beta.3',
+      newVersion: '2.0.0-beta.4',
+      releaseType: 'prerelease'
+    },
+    {
+      oldVersion: '2.0.0-beta.3',
+      newVersion: '2.0.0-beta.5',
+      releaseType: 'prerelease',
+      expectedVersion: '2.0.0-beta.4'
+    },
+    {
+      oldVersion: '1.2.3',
+      newVersion: '2.0.0-alpha.0',
+      releaseType: 'premajor',
+      preid: 'beta',
+      expectedVersion: '2.0.0-beta.0'
+    }
+  ].forEach((data) => {
+    it(`${data.oldVersion} -> ${data.newVersion} (strict ${data.releaseType})`, () => {
+      const result = versions.evaluateBump(data.oldVersion, data.newVersion, {
+        releaseType: data.releaseType,
+        preid: data.preid,
+        strict: true
+      });
+      expect(result.success).to.equal(!data.expectedVersion);
+      expect(result.expectedVersion).to.equal(data.expectedVersion);
+      expect(result.description).to.equal(data.expectedVersion ?
+        `Version ${data.newVersion} must be exactly ${data.expectedVersion}, the next ${data.releaseType} version after ${data.oldVersion}` :
+        `Version ${data.newVersion} will replace ${data.oldVersion}`);
+    });
+  });
+
+  [{
+      scheme: 'maven',
+      oldVersion: '1.0.1-SNAPSHOT',
+      newVersion: '1.0.2-SNAPSHOT',
+      releaseType: 'prerelease',
+      success: true
+    },
+    {
+      scheme: 'maven',
+      oldVersion: '1.0.1-SNAPSHOT',
+      newVersion: '1.0.1-SNAPSHOT',
+      releaseType: 'prerelease',
+      description: 'Version 1.0.1-SNAPSHOT requires a prerelease version number greater than 1.0.1-SNAPSHOT'
+    },
+    {
+      scheme: 'maven',
+      oldVersion: '1.0-RC1',
+      newVersion: '1.0-rc-2',
+      releaseType: 'prerelease',
+      preid: 'RC',
+      success: true
+    },
+    {
+      scheme: 'pep440',
+      oldVersion: '1.0a1',
+      newVersion: '1.0a2',
+      releaseType: 'prerelease',
+      success: true
+    },
+    {
+      scheme: 'pep440',
+      oldVersion: '1.0a2',
+      newVersion: '1.0b1',
+      releaseType: 'prerelease',
+      preid: 'beta',
+      success: true
+    },
+    {
+      scheme: 'pep440',
+      oldVersion: '1.0a2',
+      newVersion: '1.0a3',
+      releaseType: 'prerelease',
+      preid: 'rc',
+      description: 'Version 1.0a3 requires the prerelease identifier rc'
+    },
+    {
+      scheme: 'pep440',
+      oldVersion: '1.0',
+      newVersion: '1.1.dev1',
+      releaseType: 'preminor',
+      success: true
+    }
+  ].forEach((data) => {
+    it(`${data.oldVersion} -> ${data.newVersion} (${data.scheme} ${data.releaseType}${data.preid ? ` ${data.preid}` : ''})`, () => {
+      const result = versions.evaluateBump(data.oldVersion, data.newVersion, {
+        releaseType: data.releaseType,
+        preid: data.preid
+      }, schemes[data.scheme]);
+      expect(result.success).to.equal(!!data.success);
+      expect(result.description).to.equal(data.success ?
+        `Version ${data.newVersion} will replace ${data.oldVersion}` : data.description);
+    });
+  });
+
+  it(`Has no minimum version to release a stable version`, () => {
+    expect(versions.minimumVersion('1.0.0', 'release')).to.be.null;
+    expect(versions.minimumVersion('1.0.0-rc.0', 'release')).to.equal('1.0.0');
+  });
+});